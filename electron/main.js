@@ -17,6 +17,7 @@ function createWindow() {
 			contextIsolation: true,
 			enableRemoteModule: false,
 			webSecurity: true,
+			enableBlinkFeatures: 'AudioVideoTracks', // video.audioTracks for the audio track picker
 			preload: path.join(__dirname, 'preload.js')
 		},
 		icon: path.join(__dirname, '../assets/icon.png'),
@@ -113,3 +114,26 @@ ipcMain.handle('get-app-meta', () => {
 		return { name: 'App', description: '' };
 	}
 });
+
+// Subtitle files next to a video named after it ("film.srt", "film.en.vtt"), exact name first
+ipcMain.handle('find-subtitles', async (event, videoPath) => {
+	if (!videoPath) {
+		return [];
+	}
+	const base = path.basename(videoPath, path.extname(videoPath)).toLowerCase();
+	const extensions = ['.srt', '.vtt', '.ass', '.ssa'];
+	try {
+		const names = (await fs.promises.readdir(path.dirname(videoPath))).filter((name) => {
+			const lower = name.toLowerCase();
+			const stem = lower.slice(0, -path.extname(lower).length);
+			return extensions.includes(path.extname(lower)) && (stem === base || stem.startsWith(`${base}.`));
+		});
+		names.sort((a, b) => (path.parse(b).name.toLowerCase() === base) - (path.parse(a).name.toLowerCase() === base));
+		return await Promise.all(names.map(async (name) => ({
+			name,
+			text: await fs.promises.readFile(path.join(path.dirname(videoPath), name), 'utf8')
+		})));
+	} catch (e) {
+		return [];
+	}
+});
@@ -7,5 +7,6 @@ contextBridge.exposeInMainWorld('electronAPI', {
 		});
 	},
 	getAppVersion: () => ipcRenderer.invoke('get-app-version'),
-	getAppMeta: () => ipcRenderer.invoke('get-app-meta')
+	getAppMeta: () => ipcRenderer.invoke('get-app-meta'),
+	findSubtitles: (videoPath) => ipcRenderer.invoke('find-subtitles', videoPath)
 });
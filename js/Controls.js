@@ -1,6 +1,8 @@
 import { Store } from "./Store.js";
 import { Utils } from "./Utils.js";
 import { Icons } from "./Icons.js";
+import { Playlist } from "./Playlist.js";
+import { Subtitles } from "./Subtitles.js";
 
 // Manages player controls and user interaction
 export class Controls {
@@ -15,6 +17,9 @@ export class Controls {
 	// Seek amount in seconds
 	seekAmount = 5;
 
+	// Volume change per arrow key or scroll step
+	volumeStep = 0.05;
+
 	// Creates Controls instance
 	constructor() {
 
@@ -47,24 +52,41 @@ export class Controls {
 		// Control buttons
 		this.ui.open       = document.querySelector(".controls-open");
 		this.ui.filename   = document.querySelector(".controls-filename");
+		this.ui.queue      = document.querySelector(".controls-queue");
+		this.ui.inspector  = document.querySelector(".controls-inspector");
+		this.ui.settings   = document.querySelector(".controls-settings");
+		this.ui.previous   = document.querySelector(".controls-previous");
 		this.ui.playback   = document.querySelector(".controls-playback");
+		this.ui.next       = document.querySelector(".controls-next");
 		this.ui.volume     = document.querySelector(".controls-volume");
+		this.ui.level      = document.querySelector(".controls-volume-level");
+		this.ui.audio      = document.querySelector(".controls-audio");
+		this.ui.subtitle   = document.querySelector(".controls-subtitle-track");
 		this.ui.time       = document.querySelector(".controls-timecode-time");
 		this.ui.duration   = document.querySelector(".controls-timecode-duration");
 		this.ui.seekbar    = document.querySelector(".controls-seekbar");
+		this.ui.speed      = document.querySelector(".controls-speed");
 		this.ui.repeat     = document.querySelector(".controls-repeat");
 		this.ui.fullscreen = document.querySelector(".controls-fullscreen");
 
 		// Control groups
 		this.ui.view = {
-			watch:    document.querySelector(".controls-view-watch"),
-			original: document.querySelector(".controls-view-original"),
-			anaglyph: document.querySelector(".controls-view-anaglyph"),
+			watch:      document.querySelector(".controls-view-watch"),
+			original:   document.querySelector(".controls-view-original"),
+			anaglyph:   document.querySelector(".controls-view-anaglyph"),
+			crossview:  document.querySelector(".controls-view-crossview"),
+			parallel:   document.querySelector(".controls-view-parallel"),
+			interlaced: document.querySelector(".controls-view-interlaced"),
+			wiggle:     document.querySelector(".controls-view-wiggle"),
 		};
 		this.ui.projection = {
-			flat:  document.querySelector(".controls-projection-flat"),
-			vr180: document.querySelector(".controls-projection-vr180"),
-			vr360: document.querySelector(".controls-projection-vr360"),
+			flat:    document.querySelector(".controls-projection-flat"),
+			vr180:   document.querySelector(".controls-projection-vr180"),
+			vr360:   document.querySelector(".controls-projection-vr360"),
+			custom:  document.querySelector(".controls-projection-custom"),
+			fisheye: document.querySelector(".controls-projection-fisheye"),
+			cubemap: document.querySelector(".controls-projection-cubemap"),
+			eac:     document.querySelector(".controls-projection-eac"),
 		};
 		this.ui.layout = {
 			sbs: document.querySelector(".controls-layout-sbs"),
@@ -74,6 +96,7 @@ export class Controls {
 			half: document.querySelector(".controls-resolution-half"),
 			full: document.querySelector(".controls-resolution-full"),
 		};
+		this.ui.swap = document.querySelector(".controls-swap");
 		this.ui.eye = {
 			left:  document.querySelector(".controls-eye-left"),
 			right: document.querySelector(".controls-eye-right"),
@@ -84,18 +107,31 @@ export class Controls {
 	controlIcons() {
 
 		// File and playback
-		Utils.setIcon(this.ui.open,     Icons.open);
-		Utils.setIcon(this.ui.playback, Icons.playback.play);
+		Utils.setIcon(this.ui.open,      Icons.open);
+		Utils.setIcon(this.ui.queue,     Icons.queue);
+		Utils.setIcon(this.ui.inspector, Icons.inspector);
+		Utils.setIcon(this.ui.settings,  Icons.settings);
+		Utils.setIcon(this.ui.previous,  Icons.previous);
+		Utils.setIcon(this.ui.playback,  Icons.playback.play);
+		Utils.setIcon(this.ui.next,      Icons.next);
 
 		// View modes
-		Utils.setIcon(this.ui.view.watch,    Icons.view.watch);
-		Utils.setIcon(this.ui.view.original, Icons.view.original);
-		Utils.setIcon(this.ui.view.anaglyph, Icons.view.anaglyph);
+		Utils.setIcon(this.ui.view.watch,      Icons.view.watch);
+		Utils.setIcon(this.ui.view.original,   Icons.view.original);
+		Utils.setIcon(this.ui.view.anaglyph,   Icons.view.anaglyph);
+		Utils.setIcon(this.ui.view.crossview,  Icons.view.crossview);
+		Utils.setIcon(this.ui.view.parallel,   Icons.view.parallel);
+		Utils.setIcon(this.ui.view.interlaced, Icons.view.interlaced);
+		Utils.setIcon(this.ui.view.wiggle,     Icons.view.wiggle);
 
 		// Projection modes
-		Utils.setIcon(this.ui.projection.flat,  Icons.projection.flat);
-		Utils.setIcon(this.ui.projection.vr180, Icons.projection.vr180);
-		Utils.setIcon(this.ui.projection.vr360, Icons.projection.vr360);
+		Utils.setIcon(this.ui.projection.flat,    Icons.projection.flat);
+		Utils.setIcon(this.ui.projection.vr180,   Icons.projection.vr180);
+		Utils.setIcon(this.ui.projection.vr360,   Icons.projection.vr360);
+		Utils.setIcon(this.ui.projection.custom,  Icons.projection.custom);
+		Utils.setIcon(this.ui.projection.fisheye, Icons.projection.fisheye);
+		Utils.setIcon(this.ui.projection.cubemap, Icons.projection.cubemap);
+		Utils.setIcon(this.ui.projection.eac,     Icons.projection.eac);
 
 		// Layout modes
 		Utils.setIcon(this.ui.layout.sbs, Icons.layout.sbs);
@@ -106,6 +142,7 @@ export class Controls {
 		Utils.setIcon(this.ui.resolution.full,  Icons.resolution.full);
 
 		// Eye modes
+		Utils.setIcon(this.ui.swap, Icons.swap);
 		Utils.setIcon(this.ui.eye.left,  Icons.eye.left);
 		Utils.setIcon(this.ui.eye.right, Icons.eye.right);
 	}
@@ -117,39 +154,10 @@ export class Controls {
 		this.ui.splashOpen.addEventListener("click", () => this.openFile());
 		this.ui.splashInput.addEventListener("change", (e) => {
 
-			// Check file is valid video
-			const isValidVideo = (file) => {
-				return new Promise(res => {
-					const url = URL.createObjectURL(file);
-					const video = document.createElement("video");
-					video.src = url;
-					video.onloadedmetadata = () => {
-						URL.revokeObjectURL(url);
-						res(video.duration > 0 && video.videoWidth > 0);
-					};
-					video.onerror = () => {
-						URL.revokeObjectURL(url);
-						res(false);
-					};
-				});
-			};
-
-			// Validate video file
-			const file = e.target.files[0];
-			isValidVideo(file).then(valid => {
-				if (valid) {
-					const url = URL.createObjectURL(file);
-					Store.set({
-						name:     file.name,
-						file,
-						url,
-						playback: false,
-					});
-				} else {
-					alert("Please select a video file.");
-					e.target.value = "";
-				}
-			});
+			// Queue the chosen files (the playlist validates each as it loads)
+			if (e.target.files.length) {
+				this.openFiles(e.target.files);
+			}
 
 			// Keep seekbar past segment the correct width
 			this.seekbarPastSegment();
@@ -158,6 +166,8 @@ export class Controls {
 		// File and playback
 		this.ui.open.addEventListener("click", () => this.openFile());
 		this.ui.playback.addEventListener("click", () => Store.toggle("playback"));
+		this.ui.previous.addEventListener("click", () => Store.get("playlist")?.step(-1));
+		this.ui.next.addEventListener("click", () => Store.get("playlist")?.step(1));
 		this.ui.seekbar.addEventListener("input", () => {
 			Store.set({ time: this.ui.seekbar.value });
 			this.seekbarPastSegment();
@@ -174,11 +184,39 @@ export class Controls {
 			}
 		});
 
-		// Volume control
-		this.ui.volume.addEventListener("click", () => Store.toggle("volume"));
+		// Queue, detection report and settings panels
+		this.ui.queue.addEventListener("click", () => Store.toggle("queue"));
+		this.ui.inspector.addEventListener("click", () => Store.toggle("inspector"));
+		this.ui.settings.addEventListener("click", () => Store.toggle("settings"));
+
+		// Volume control: the button mutes, scrolling over it or the slider sets the level
+		this.ui.volume.addEventListener("click", () => Store.toggle("muted"));
+		this.ui.level.addEventListener("input", () => {
+			Store.set({ volume: parseFloat(this.ui.level.value), muted: false });
+		});
+		[this.ui.volume, this.ui.level].forEach(el => el.addEventListener("wheel", (e) => {
+			e.preventDefault();
+			this.stepVolume(e.deltaY < 0 ? 1 : -1);
+		}, { passive: false }));
+
+		// Audio track picker
+		this.ui.audio.dataset.tooltip = "Audio Track (a)";
+		this.ui.audio.addEventListener("change", () => Store.set({ audioTrack: this.ui.audio.value }));
+
+		// Subtitle track picker
+		this.ui.subtitle.dataset.tooltip = "Subtitle Track (shift+c)";
+		this.ui.subtitle.addEventListener("change", () => Store.set({ subtitleTrack: this.ui.subtitle.value }));
+
+		// Speed control: click cycles, scrolling steps up or down
+		this.ui.speed.dataset.tooltip = "Playback Speed (shift+&lt; / shift+&gt;)";
+		this.ui.speed.addEventListener("click", () => Store.toggle("speed", "speeds"));
+		this.ui.speed.addEventListener("wheel", (e) => {
+			e.preventDefault();
+			this.stepSpeed(e.deltaY < 0 ? 1 : -1);
+		}, { passive: false });
 
 		// Repeat control
-		this.ui.repeat.addEventListener("click", () => Store.toggle("repeat"));
+		this.ui.repeat.addEventListener("click", () => Store.toggle("repeat", "repeats"));
 
 		// Fullscreen control
 		this.ui.fullscreen.addEventListener("click", () => Store.toggle("fullscreen"));
@@ -196,6 +234,7 @@ export class Controls {
 		Object.keys(this.ui.resolution).forEach(resolution => {
 			this.ui.resolution[resolution].addEventListener("click", () => Store.set({ resolution }));
 		});
+		this.ui.swap.addEventListener("click", () => Store.toggle("eyeOrder", "eyes"));
 		Object.keys(this.ui.eye).forEach(eye => {
 			this.ui.eye[eye].addEventListener("click", () => Store.set({ eye }));
 		});
@@ -235,15 +274,66 @@ export class Controls {
 		});
 
 		// Volume
-		Store.subscribe("volume", s => {
-			const icon = s.volume ? Icons.volume.full : Icons.volume.off;
-			Utils.setIcon(this.ui.volume, icon);
+		Store.subscribe(["volume", "muted"], s => {
+			const level = s.muted || s.volume === 0 ? "off" : s.volume < 0.5 ? "low" : "full";
+			Utils.setIcon(this.ui.volume, Icons.volume[level]);
+			this.ui.level.value = s.muted ? 0 : s.volume;
+		});
+
+		// Audio tracks (only offered when there's a choice)
+		Store.subscribe("audioTracks", s => {
+			this.ui.audio.replaceChildren(...s.audioTracks.map(({ id, label }) => {
+				const option = document.createElement("option");
+				option.value = id;
+				option.textContent = label;
+				return option;
+			}));
+			this.ui.audio.hidden = s.audioTracks.length < 2;
+		});
+		Store.subscribe(["audioTracks", "audioTrack"], s => {
+			this.ui.audio.value = s.audioTrack ?? "";
+		});
+
+		// Subtitle tracks (likewise)
+		Store.subscribe("subtitleTracks", s => {
+			this.ui.subtitle.replaceChildren(...s.subtitleTracks.map(({ id, label }) => {
+				const option = document.createElement("option");
+				option.value = id;
+				option.textContent = label;
+				return option;
+			}));
+			this.ui.subtitle.hidden = s.subtitleTracks.length < 2;
+		});
+		Store.subscribe(["subtitleTracks", "subtitleTrack"], s => {
+			this.ui.subtitle.value = s.subtitleTrack ?? "";
+		});
+
+		// Previous/next only apply to a queue
+		Store.subscribe("queueEntries", s => {
+			this.ui.previous.disabled = s.queueEntries.length < 2;
+			this.ui.next.disabled = s.queueEntries.length < 2;
+		});
+
+		// Queue, detection report and settings panels
+		Store.subscribe("queue", s => {
+			this.ui.queue.classList.toggle("active", s.queue);
+		});
+		Store.subscribe("inspector", s => {
+			this.ui.inspector.classList.toggle("active", s.inspector);
+		});
+		Store.subscribe("settings", s => {
+			this.ui.settings.classList.toggle("active", s.settings);
+		});
+
+		// Speed
+		Store.subscribe("speed", s => {
+			this.ui.speed.textContent = `${s.speed}×`;
+			this.ui.speed.classList.toggle("active", s.speed !== 1);
 		});
 
 		// Repeat
 		Store.subscribe("repeat", s => {
-			const icon = s.repeat ? Icons.repeat.true : Icons.repeat.false;
-			Utils.setIcon(this.ui.repeat, icon);
+			Utils.setIcon(this.ui.repeat, Icons.repeat[s.repeat] ?? Icons.repeat.off);
 		});
 
 		// Fullscreen
@@ -283,6 +373,9 @@ export class Controls {
 		});
 
 		// Eye modes
+		Store.subscribe("eyeOrder", s => {
+			this.ui.swap.classList.toggle("active", s.eyeOrder === "right");
+		});
 		Store.subscribe("eye", s => {
 			Object.keys(this.ui.eye).forEach(v => {
 				this.ui.eye[v].classList.toggle("active", v === s.eye);
@@ -301,7 +394,7 @@ export class Controls {
 			const disables = {
 				layout:     ["original"],
 				resolution: ["original"],
-				eye:        ["original", "anaglyph"],
+				eye:        ["original", "anaglyph", "crossview", "parallel", "interlaced", "wiggle"],
 			};
 			Object.entries(disables).forEach(([group, views]) => {
 				Object.values(this.ui[group]).forEach(el => (
@@ -327,27 +420,51 @@ export class Controls {
 			}
 		});
 
-		// Drag-and-drop to open a video
+		// Drag-and-drop videos or folders to replace the queue (or a subtitle file onto the playing video)
 		document.addEventListener("dragover", (e) => e.preventDefault());
 		document.addEventListener("drop", (e) => {
 			e.preventDefault();
-			const files = e.dataTransfer?.files;
-			if (!files || files.length !== 1) {
-				return;
-			}
-			const dt = new DataTransfer();
-			dt.items.add(files[0]);
-			this.ui.splashInput.files = dt.files;
-			this.ui.splashInput.dispatchEvent(new Event("change", { bubbles: true }));
+			Utils.droppedFiles(e.dataTransfer)
+				.then(files => {
+					if (files.length) {
+						this.openFiles(files);
+						this.seekbarPastSegment();
+					}
+				})
+				.catch(error => {
+					console.error(error);
+					alert("Couldn't read the dropped files.");
+				});
 		});
 	}
 
+	// Queue opened videos, or load a lone subtitle file for the video playing
+	async openFiles(files) {
+		const list = Array.from(files);
+		const subtitle = list.find(file => Subtitles.isSubtitleFile(file));
+		const { url, pipeline, playlist } = Store.get();
+		if (subtitle && url && !list.some(file => Playlist.isVideoFile(file))) {
+			try {
+				if (await pipeline?.loadSubtitles(subtitle)) {
+					Store.set({ subtitles: true });
+				} else {
+					alert(`No subtitles found in ${subtitle.name}.`);
+				}
+			} catch (error) {
+				console.error(error);
+				alert(`Couldn't read ${subtitle.name}.`);
+			}
+			return;
+		}
+		playlist?.open(list);
+	}
+
 	// Setup keyboard shortcuts
 	keyboardShortcuts() {
 		document.addEventListener("keydown", (e) => {
 
-			// Ignore shortcuts on splash screen
-			if (Store.get().splash) {
+			// Ignore shortcuts on splash screen and while typing
+			if (Store.get().splash || Utils.isTextEntry(e.target)) {
 				return;
 			}
 
@@ -358,6 +475,8 @@ export class Controls {
 					Space:      () => Store.toggle("playback"),
 					ArrowLeft:  () => Store.set({ time: Store.get().time - this.seekAmount }),
 					ArrowRight: () => Store.set({ time: Store.get().time + this.seekAmount }),
+					ArrowUp:    () => this.stepVolume(1),
+					ArrowDown:  () => this.stepVolume(-1),
 					Comma:      () => this.stepFrame(-1),
 					Period:     () => this.stepFrame(1),
 
@@ -382,10 +501,39 @@ export class Controls {
 						}
 					},
 
+					KeyX:       () => Store.toggle("eyeOrder", "eyes"),
+					KeyU:       () => {
+						const { view, resolution } = Store.get();
+						if (view !== "original" && resolution === "half") {
+							Store.toggle("upscale");
+						}
+					},
 					KeyM:       () => Store.toggle("view", "views"),
-					KeyV:       () => Store.toggle("volume"),
-					KeyR:       () => Store.toggle("repeat"),
+					KeyV:       () => Store.toggle("muted"),
+					KeyA:       () => this.stepAudioTrack(),
+					KeyR:       () => Store.toggle("repeat", "repeats"),
+					KeyQ:       () => Store.toggle("queue"),
+					KeyC:       () => Store.toggle("subtitles"),
 					KeyF:       () => Store.toggle("fullscreen"),
+					KeyI:       () => Store.toggle("inspector"),
+					KeyG:       () => Store.toggle("settings"),
+				};
+
+				if (shortcuts[e.code]) {
+					e.preventDefault();
+					shortcuts[e.code]();
+				}
+			}
+
+			// Glasses, subtitle track, queue and speed controls (shift)
+			if (Utils.modifiers(e, ["shift"])) {
+				const shortcuts = {
+					KeyX:   () => Store.toggle("glassesReversed"),
+					KeyC:   () => this.stepSubtitleTrack(),
+					KeyN:   () => Store.get("playlist")?.step(1),
+					KeyP:   () => Store.get("playlist")?.step(-1),
+					Period: () => this.stepSpeed(1),
+					Comma:  () => this.stepSpeed(-1),
 				};
 
 				if (shortcuts[e.code]) {
@@ -455,12 +603,48 @@ export class Controls {
 			Store.set({ playback: false });
 		}
 
+		// Frame times are media seconds, so stepping doesn't depend on playback speed
 		const dt = 1 / fps, t = video.currentTime, eps = 1e-4;
 		const k = direction > 0 ? Math.floor(t * fps) + 1 : Math.ceil(t * fps) - 1;
 
 		video.currentTime = (k * dt) + (direction > 0 ? eps : -eps);
 	}
 
+	// Step volume +1 louder or -1 quieter (unmutes)
+	stepVolume(direction) {
+		const volume = Math.round((Store.get("volume") + direction * this.volumeStep) * 100) / 100;
+		Store.set({ volume: Math.min(1, Math.max(0, volume)), muted: false });
+	}
+
+	// Switch to the next audio track, if there's more than one
+	stepAudioTrack() {
+		const { audioTracks, audioTrack } = Store.get();
+		if (audioTracks.length < 2) {
+			return;
+		}
+		const index = audioTracks.findIndex(({ id }) => id === audioTrack);
+		Store.set({ audioTrack: audioTracks[(index + 1) % audioTracks.length].id });
+	}
+
+	// Switch to the next subtitle track, if there's more than one
+	stepSubtitleTrack() {
+		const { subtitleTracks, subtitleTrack } = Store.get();
+		if (subtitleTracks.length < 2) {
+			return;
+		}
+		const index = subtitleTracks.findIndex(({ id }) => id === subtitleTrack);
+		Store.set({ subtitleTrack: subtitleTracks[(index + 1) % subtitleTracks.length].id, subtitles: true });
+	}
+
+	// Step playback speed +1 faster or -1 slower through the presets (no wrap-around)
+	stepSpeed(direction) {
+		const { speed, speeds } = Store.get();
+		const index = speeds.indexOf(speed) + direction;
+		if (index >= 0 && index < speeds.length) {
+			Store.set({ speed: speeds[index] });
+		}
+	}
+
 	// Update size of seekbar past segment
 	seekbarPastSegment() {
 		const { duration, time } = Store.get();
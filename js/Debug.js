@@ -1,4 +1,5 @@
 import { Store } from "./Store.js";
+import { Utils } from "./Utils.js";
 
 // Constants
 const state = Store.get();
@@ -6,7 +7,7 @@ const debug = document.querySelector(".debug");
 
 // Toggle debug controls with keyboard shortcut
 window.addEventListener("keydown", (event) => {
-	if (event.code === "Slash") {
+	if (event.code === "Slash" && !Utils.isTextEntry(event.target)) {
 		Store.toggle("debug");
 	}
 });
@@ -16,10 +17,10 @@ Store.subscribe("debug", (s) => {
 
 // Debug controls map
 const controls = [
-	{ key: "antiR", label: "Filter Red from Left Eye" },
-	{ key: "antiG", label: "Filter Green from Right Eye" },
-	{ key: "antiB", label: "Filter Blue from Right Eye" },
-	{ key: "balance", label: "Green Balance" },
+	{ key: "antiR", label: "Filter Red Channel" },
+	{ key: "antiG", label: "Filter Green Channel" },
+	{ key: "antiB", label: "Filter Blue Channel" },
+	{ key: "balance", label: "Green Balance (Red–Cyan Dubois)" },
 	{ key: "convergence", label: "Eye Convergence" },
 	{ key: "depth", label: "Depth Compression" },
 ];
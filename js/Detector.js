@@ -1,4 +1,6 @@
 import { Store } from "./Store.js";
+import { Rules } from "./Rules.js";
+import { Subtitles } from "./Subtitles.js";
 
 // Gets information about a loaded HTML video element
 export class Detector {
@@ -7,41 +9,20 @@ export class Detector {
 	static METHOD = {
 		METADATA:   "metadata",
 		FILENAME:   "filename",
+		CONTENT:    "content",
 		RESOLUTION: "resolution",
 		DEFAULT:    "default",
 	};
 
-	// SBS filename patterns
-	static SBS_KEYWORDS = [
-		"SBS", "HSBS", "FSBS", "Half-SBS", "Side-by-Side",
-		"3D.SBS", "3D-SBS", "sbs3d", "SBS3D",
-	];
-
-	// OU filename patterns
-	static OU_KEYWORDS = [
-		"OU", "HOU", "FOU", "Half-OU", "Over-Under",
-		"TAB", "HTAB", "Top-Bottom", "TopBottom", "T-B",
-	];
-
-	// VR projection filename tokens
-	static VR360_TOKENS = [
-		"vr360", "360vr", "vr-360", "vr_360",
-		"360video", "video360",
-		"360pano", "pano360", "360photo", "photo360",
-		"3603d", "3d360", "stereo360", "360stereo",
-		"mono360", "360mono",
-		"360-deg", "360deg", "360-degree",
-		"360",
-	];
-	static VR180_TOKENS = [
-		"vr180", "180vr", "vr-180", "vr_180",
-		"1803d", "3d180", "vr1803d", "3dvr180", "stereo180", "180stereo",
-		"180pano", "pano180",
-		"front180", "f180",
-		"180-deg", "180deg", "180-degree",
-		"180x180",
-		"180",
-	];
+	// Frame-content layout analysis
+	static CONTENT_SETTINGS = {
+		FRAMES:         4,    // Frames sampled across the video
+		GRID:           64,   // Downsampled frame size (GRID × GRID luma samples)
+		TIMEOUT_MS:     3000, // Give up on a seek/load after this long
+		MIN_VARIANCE:   20,   // Skip near-flat frames (e.g. black fades)
+		STEREO_MIN:     0.75, // Correlation needed to call two halves a stereo pair
+		MIN_CONFIDENCE: 0.5,  // Below this, fall through to resolution heuristics
+	};
 
 	// Detects video layout, resolution, and projection.
 	static async detect() {
@@ -49,70 +30,422 @@ export class Detector {
 		// Get store state
 		const s = Store.get();
 
-		// Step 1: Determine Layout (SBS or OU)
-		const layoutResult = this.detectLayout(s);
+		// Read container metadata once (MP4/MOV boxes; MKV/WebM EBML)
+		let meta = null;
+		try {
+			meta = await this.readMetadata(s);
+		} catch (error) {
+			console.error(error);
+		}
+
+		// Match filename rules once
+		const hints = Rules.match(s.name, s.rules);
+
+		// Step 1: Determine Layout (SBS or OU); frame content is checked later by refineLayout()
+		const layoutResult = this.detectLayout(s, meta, hints);
 
 		// Step 2: Determine Resolution (Full or Half)
-		const resolutionResult = this.detectResolution(s, layoutResult.value);
+		const resolutionResult = this.detectResolution(s, layoutResult.value, hints);
 
 		// Step 3: Determine Projection (vr180/vr360/flat)
-		const projectionResult = await this.detectProjection(s);
+		const projectionResult = this.detectProjection(s, meta, hints);
+
+		// Step 4: Determine Eye Order (left or right eye stored first)
+		const eyeOrderResult = this.detectEyeOrder(s, meta, hints);
+
+		// Step 5: Determine sphere orientation (horizon leveling)
+		const poseResult = this.detectPose(meta);
+
+		// Step 6: Determine HDR transfer characteristics (tone mapping)
+		const transferResult = this.detectTransfer(meta);
 
 		return {
 			layout:     layoutResult,
 			resolution: resolutionResult,
 			projection: projectionResult,
+			eyeOrder:   eyeOrderResult,
+			pose:       poseResult,
+			transfer:   transferResult,
 		};
 	}
 
-	// Step 1: Determine Layout (SBS or OU)
-	static detectLayout(s) {
+	// Step 1: Determine Layout (SBS or OU), using a frame-content analysis when one is given
+	static detectLayout(s, meta = null, hints = {}, content = null) {
 
 		// Method 1. Check metadata (most reliable)
+		if (meta?.layout) {
+			return { value: meta.layout, method: this.METHOD.METADATA, evidence: meta.evidence?.layout };
+		}
 		const tracks = s.video.videoTracks || [];
 		for (const track of tracks) {
 			const mode = track.stereoMode?.toLowerCase() || "";
+			const evidence = `videoTracks stereoMode "${mode}"`;
 			if (mode.includes("left_right") || mode.includes("right_left")) {
-				return { value: "sbs", method: this.METHOD.METADATA };
+				return { value: "sbs", method: this.METHOD.METADATA, evidence };
 			}
 			if (mode.includes("top_bottom") || mode.includes("bottom_top")) {
-				return { value: "ou", method: this.METHOD.METADATA };
+				return { value: "ou", method: this.METHOD.METADATA, evidence };
 			}
 		}
 
-		// Method 2. Check filename hints (case-insensitive)
-		const nameUpper = s.name.toUpperCase();
-		if (this.SBS_KEYWORDS.some(kw => nameUpper.includes(kw))) {
-			return { value: "sbs", method: this.METHOD.FILENAME };
+		// Method 2. Check filename rules
+		if (hints.layout) {
+			return { value: hints.layout.value, method: this.METHOD.FILENAME, evidence: Rules.describe(hints.layout) };
 		}
-		if (this.OU_KEYWORDS.some(kw => nameUpper.includes(kw))) {
-			return { value: "ou", method: this.METHOD.FILENAME };
+
+		// Method 3. Compare frame halves (left/right vs top/bottom); a mono verdict falls through
+		if (content?.layout && content.confidence >= this.CONTENT_SETTINGS.MIN_CONFIDENCE) {
+			return {
+				value:      content.layout,
+				method:     this.METHOD.CONTENT,
+				confidence: content.confidence,
+				evidence:   `left/right r=${content.sbs.toFixed(2)}, top/bottom r=${content.ou.toFixed(2)}`,
+			};
 		}
 
-		// Method 3. Infer from resolution (aspect ratio)
+		// Method 4. Infer from resolution (aspect ratio)
 		const { videoWidth: w, videoHeight: h } = s.video;
 		const aspectRatio = w / h;
+		const evidence = this._aspectEvidence(w, h);
 
 		// Width ÷ Height ≥ 2.8 → SBS (likely Full, with tolerance)
 		if (aspectRatio >= 2.8) {
-			return { value: "sbs", method: this.METHOD.RESOLUTION };
+			return { value: "sbs", method: this.METHOD.RESOLUTION, evidence };
 		}
 
 		// Height ÷ Width ≥ 1.12 → OU (likely Full, with tolerance)
 		if (aspectRatio <= 1.12) {
-			return { value: "ou", method: this.METHOD.RESOLUTION };
+			return { value: "ou", method: this.METHOD.RESOLUTION, evidence };
+		}
+
+		// Method 5. Default to current value
+		return { value: s.layout, method: this.METHOD.DEFAULT, evidence: `no hints; ${evidence}` };
+	}
+
+	/**
+	 * Re-run layout and resolution detection with a frame-content check. Sampling frames takes seconds,
+	 * so this runs after playback starts, and only for files without layout metadata or a filename hint.
+	 * @param {Object} s - Store state for the file
+	 * @param {Object} detection - Results from detect()
+	 * @returns {Promise<{ layout: Object, resolution: Object }|null>} New results, or null when content decides nothing
+	 */
+	static async refineLayout(s, detection) {
+		if ([this.METHOD.METADATA, this.METHOD.FILENAME].includes(detection.layout.method)) {
+			return null;
+		}
+		let content = null;
+		try {
+			content = await this.analyzeContent(s.url);
+		} catch (error) {
+			console.error(error);
+		}
+		const hints = Rules.match(s.name, s.rules);
+		const layout = this.detectLayout(s, null, hints, content);
+		if (layout.method !== this.METHOD.CONTENT) {
+			return null;
+		}
+		return { layout, resolution: this.detectResolution(s, layout.value, hints) };
+	}
+
+	/**
+	 * Guess stereo layout from decoded frames by correlating frame halves.
+	 * Stereo pairs correlate strongly along their split axis; mono frames along neither.
+	 * @param {string} url - Video source URL (sampled in a detached <video>)
+	 * @returns {Promise<{ layout: 'sbs'|'ou'|null, confidence: number, sbs: number, ou: number }|null>}
+	 *   Layout (null for mono), confidence 0–1, and mean correlation per layout
+	 */
+	static async analyzeContent(url) {
+		const frames = await this._grabFrames(url);
+		if (!frames.length) {
+			return null;
+		}
+
+		// Average half-vs-half correlation across sampled frames
+		const { GRID, STEREO_MIN } = this.CONTENT_SETTINGS;
+		const half = GRID / 2;
+		let sbs = 0;
+		let ou = 0;
+		for (const luma of frames) {
+			const left = [], right = [], top = [], bottom = [];
+			for (let y = 0; y < GRID; y++) {
+				for (let x = 0; x < GRID; x++) {
+					const v = luma[y * GRID + x];
+					(x < half ? left : right).push(v);
+					(y < half ? top : bottom).push(v);
+				}
+			}
+			sbs += this._correlation(left, right);
+			ou += this._correlation(top, bottom);
+		}
+		sbs /= frames.length;
+		ou /= frames.length;
+
+		// Stereo: the best axis clears the threshold and beats the other by a margin
+		const best = Math.max(sbs, ou);
+		const margin = Math.abs(sbs - ou);
+		if (best >= STEREO_MIN) {
+			const confidence = Math.min(1, margin / 0.5) * best;
+			return { layout: sbs >= ou ? "sbs" : "ou", confidence, sbs, ou };
+		}
+
+		// Mono: neither pair of halves looks alike
+		const confidence = Math.max(0, Math.min(1, (STEREO_MIN - best) / STEREO_MIN));
+		return { layout: null, confidence, sbs, ou };
+	}
+
+	// Seek a detached <video> to a few points and return downsampled luma grids
+	static async _grabFrames(url) {
+		const { FRAMES, GRID, TIMEOUT_MS, MIN_VARIANCE } = this.CONTENT_SETTINGS;
+		if (!url) {
+			return [];
+		}
+
+		const video = document.createElement("video");
+		video.muted = true;
+		video.preload = "auto";
+		video.src = url;
+
+		const canvas = document.createElement("canvas");
+		canvas.width = GRID;
+		canvas.height = GRID;
+		const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+		const frames = [];
+		try {
+			if (!await this._waitForEvent(video, "loadedmetadata", TIMEOUT_MS)) {
+				return frames;
+			}
+			const duration = isFinite(video.duration) ? video.duration : 0;
+			for (let i = 1; i <= FRAMES; i++) {
+				video.currentTime = duration * (i / (FRAMES + 1));
+				if (!await this._waitForEvent(video, "seeked", TIMEOUT_MS)) {
+					break;
+				}
+				ctx.drawImage(video, 0, 0, GRID, GRID);
+				const { data } = ctx.getImageData(0, 0, GRID, GRID);
+				const luma = new Float32Array(GRID * GRID);
+				for (let p = 0; p < luma.length; p++) {
+					luma[p] = 0.2126 * data[p * 4] + 0.7152 * data[p * 4 + 1] + 0.0722 * data[p * 4 + 2];
+				}
+				if (this._variance(luma) >= MIN_VARIANCE) {
+					frames.push(luma);
+				}
+			}
+		} finally {
+			video.removeAttribute("src");
+			video.load();
+		}
+		return frames;
+	}
+
+	// Resolve true when an event fires, false on timeout or error
+	static _waitForEvent(target, event, timeoutMs) {
+		return new Promise(resolve => {
+			const done = (ok) => {
+				clearTimeout(timer);
+				target.removeEventListener(event, onEvent);
+				target.removeEventListener("error", onError);
+				resolve(ok);
+			};
+			const onEvent = () => done(true);
+			const onError = () => done(false);
+			const timer = setTimeout(() => done(false), timeoutMs);
+			target.addEventListener(event, onEvent);
+			target.addEventListener("error", onError);
+		});
+	}
+
+	// Auto-align tuning (sizes in analysis pixels, search ranges as fractions of the eye)
+	static ALIGN_SETTINGS = {
+		EYE_WIDTH:   256,
+		BLOCK:       8,
+		FEATURES:    80,
+		SEARCH_X:    0.08,
+		SEARCH_Y:    0.05,
+		MAX_SAD:     12, // Mean absolute luma difference for a match to count
+		MIN_MATCHES: 10,
+	};
+
+	/**
+	 * Estimate vertical offset and rotation between the eyes of the frame currently shown.
+	 * Matches high-contrast blocks from the first stored eye into the second, then fits their
+	 * vertical disparity against horizontal position.
+	 * @param {Object} s - Store state (video, layout, resolution, eyeOrder)
+	 * @returns {{ alignY: number, alignRotation: number, matches: number }|null} Corrections in the
+	 *   Store's left-eye convention (fraction of eye height, degrees) and the blocks used, or null
+	 */
+	static estimateAlignment(s) {
+		const { EYE_WIDTH, BLOCK, FEATURES, SEARCH_X, SEARCH_Y, MAX_SAD, MIN_MATCHES } = this.ALIGN_SETTINGS;
+		const { videoWidth: vw, videoHeight: vh } = s.video;
+		if (!vw || !vh) {
+			return null;
+		}
+
+		// Eye regions in source pixels, sampled into two luma images of the same size
+		const sbs = (s.layout === "sbs");
+		const srcW = sbs ? vw / 2 : vw;
+		const srcH = sbs ? vh : vh / 2;
+		const w = EYE_WIDTH;
+		const h = Math.max(BLOCK * 4, Math.round(EYE_WIDTH * srcH / srcW));
+		const canvas = document.createElement("canvas");
+		canvas.width = w;
+		canvas.height = h * 2;
+		const ctx = canvas.getContext("2d", { willReadFrequently: true });
+		ctx.drawImage(s.video, 0, 0, srcW, srcH, 0, 0, w, h);
+		ctx.drawImage(s.video, sbs ? srcW : 0, sbs ? 0 : srcH, srcW, srcH, 0, h, w, h);
+		const { data } = ctx.getImageData(0, 0, w, h * 2);
+		const luma = new Float32Array(w * h * 2);
+		for (let p = 0; p < luma.length; p++) {
+			luma[p] = 0.2126 * data[p * 4] + 0.7152 * data[p * 4 + 1] + 0.0722 * data[p * 4 + 2];
+		}
+		const first = luma.subarray(0, w * h);
+		const second = luma.subarray(w * h);
+
+		// Pick the most detailed blocks of the first eye
+		const blocks = [];
+		for (let y = 0; y + BLOCK <= h; y += BLOCK) {
+			for (let x = 0; x + BLOCK <= w; x += BLOCK) {
+				const values = [];
+				for (let by = 0; by < BLOCK; by++) {
+					for (let bx = 0; bx < BLOCK; bx++) {
+						values.push(first[(y + by) * w + x + bx]);
+					}
+				}
+				blocks.push({ x, y, variance: this._variance(values) });
+			}
+		}
+		blocks.sort((a, b) => b.variance - a.variance);
+
+		// Block-match each into the second eye (sum of absolute differences)
+		const rx = Math.round(w * SEARCH_X);
+		const ry = Math.round(h * SEARCH_Y);
+		const sad = (x, y, dx, dy) => {
+			let sum = 0;
+			for (let by = 0; by < BLOCK; by++) {
+				for (let bx = 0; bx < BLOCK; bx++) {
+					sum += Math.abs(first[(y + by) * w + x + bx] - second[(y + by + dy) * w + x + bx + dx]);
+				}
+			}
+			return sum / (BLOCK * BLOCK);
+		};
+		const matches = [];
+		for (const { x, y, variance } of blocks.slice(0, FEATURES)) {
+			if (variance < this.CONTENT_SETTINGS.MIN_VARIANCE) {
+				break;
+			}
+			let best = { cost: Infinity, dx: 0, dy: 0 };
+			for (let dy = -ry; dy <= ry; dy++) {
+				if (y + dy < 0 || y + dy + BLOCK > h) {
+					continue;
+				}
+				for (let dx = -rx; dx <= rx; dx++) {
+					if (x + dx < 0 || x + dx + BLOCK > w) {
+						continue;
+					}
+					const cost = sad(x, y, dx, dy);
+					if (cost < best.cost) {
+						best = { cost, dx, dy };
+					}
+				}
+			}
+			if (best.cost > MAX_SAD) {
+				continue;
+			}
+
+			// Refine vertically to sub-pixel with a parabola through neighbouring costs
+			let dy = best.dy;
+			if (y + dy - 1 >= 0 && y + dy + 1 + BLOCK <= h) {
+				const above = sad(x, y, best.dx, dy - 1);
+				const below = sad(x, y, best.dx, dy + 1);
+				const curve = above - 2 * best.cost + below;
+				if (curve > 0) {
+					dy += 0.5 * (above - below) / curve;
+				}
+			}
+			matches.push({ u: (x + BLOCK / 2) / w - 0.5, v: dy / h });
 		}
 
-		// Method 4. Default to current value
-		return { value: s.layout, method: this.METHOD.DEFAULT };
+		// Fit v = offset + slope * u on matches near the median disparity
+		const median = matches.map(m => m.v).sort((a, b) => a - b)[matches.length >> 1];
+		const inliers = matches.filter(m => Math.abs(m.v - median) <= 2 / h);
+		if (inliers.length < MIN_MATCHES) {
+			return null;
+		}
+		const n = inliers.length;
+		const meanU = inliers.reduce((sum, m) => sum + m.u, 0) / n;
+		const meanV = inliers.reduce((sum, m) => sum + m.v, 0) / n;
+		let covariance = 0;
+		let spread = 0;
+		inliers.forEach(m => {
+			covariance += (m.u - meanU) * (m.v - meanV);
+			spread += (m.u - meanU) ** 2;
+		});
+		const slope = spread > 0 ? covariance / spread : 0;
+		const offset = meanV - slope * meanU;
+
+		// Convert to the shader's convention: second eye sits `offset` lower and tilts by `slope` per eye width
+		const half = (s.resolution === "half");
+		const aspect = sbs ? (half ? vw : vw / 2) / vh : vw / (half ? vh : vh / 2);
+		const sign = s.eyeOrder === "right" ? -1 : 1;
+		return {
+			alignY:        sign * -offset,
+			alignRotation: sign * (Math.atan(slope / aspect) * 180 / Math.PI),
+			matches:       n,
+		};
+	}
+
+	// Pearson correlation of two equal-length sample arrays
+	static _correlation(a, b) {
+		const n = a.length;
+		let meanA = 0, meanB = 0;
+		for (let i = 0; i < n; i++) {
+			meanA += a[i];
+			meanB += b[i];
+		}
+		meanA /= n;
+		meanB /= n;
+		let cov = 0, varA = 0, varB = 0;
+		for (let i = 0; i < n; i++) {
+			const da = a[i] - meanA;
+			const db = b[i] - meanB;
+			cov += da * db;
+			varA += da * da;
+			varB += db * db;
+		}
+		const denom = Math.sqrt(varA * varB);
+		return denom > 0 ? cov / denom : 0;
+	}
+
+	// Population variance of a sample array
+	static _variance(values) {
+		let mean = 0;
+		for (const v of values) {
+			mean += v;
+		}
+		mean /= values.length;
+		let sum = 0;
+		for (const v of values) {
+			sum += (v - mean) * (v - mean);
+		}
+		return sum / values.length;
 	}
 
 	// Step 2: Determine Resolution (Full or Half)
-	static detectResolution(s, layout) {
+	static detectResolution(s, layout, hints = {}) {
 
-		// Get video dimensions and aspect ratio
+		// Method 1. Check filename rules (e.g. HSBS, FOU)
+		if (hints.resolution) {
+			return {
+				value:    hints.resolution.value,
+				method:   this.METHOD.FILENAME,
+				evidence: Rules.describe(hints.resolution),
+			};
+		}
+
+		// Method 2. Infer from resolution (aspect ratio)
 		const { videoWidth: w, videoHeight: h } = s.video;
 		const aspectRatio = w / h;
+		const evidence = this._aspectEvidence(w, h);
 
 		if (layout === "sbs") {
 			// For SBS, full resolution is very wide (e.g., 3840×1080)
@@ -121,6 +454,7 @@ export class Detector {
 			return {
 				value: isFull ? "full" : "half",
 				method: this.METHOD.RESOLUTION,
+				evidence,
 			};
 		}  // ou
 		// For OU, full resolution is very tall (e.g., 1920×2160)
@@ -129,113 +463,547 @@ export class Detector {
 		return {
 			value: isFull ? "full" : "half",
 			method: this.METHOD.RESOLUTION,
+			evidence,
 		};
 
 		// No fallback — always returns nearest layout
 	}
 
 	// Step 3: Determine projection via metadata or filename
-	static async detectProjection() {
-		const s = Store.get();
-		const lower = s.name.toLowerCase();
+	static detectProjection(s, meta = null, hints = {}) {
 
-		// Method 1. Try container metadata first (MP4/MOV XMP; MKV/WebM ProjectionType)
-		try {
-			const meta = await this._detectProjectionFromMetadata(s.file, lower);
-			if (meta) {
-				return { value: meta, method: this.METHOD.METADATA };
+		// Method 1. Container metadata (MP4/MOV sv3d or XMP; MKV/WebM Projection)
+		if (meta?.projection) {
+			return {
+				value:    meta.projection,
+				method:   this.METHOD.METADATA,
+				evidence: meta.evidence?.projection,
+				coverage: meta.coverage ?? null,
+			};
+		}
+
+		// Method 2. Filename rules
+		if (hints.projection) {
+			return {
+				value:    hints.projection.value,
+				method:   this.METHOD.FILENAME,
+				evidence: Rules.describe(hints.projection),
+			};
+		}
+
+		// Method 3. Default to current value
+		return { value: s.projection, method: this.METHOD.DEFAULT, evidence: "no projection metadata or rules" };
+	}
+
+	// Step 4: Determine which eye is stored first (left/top or right/bottom)
+	static detectEyeOrder(s, meta = null, hints = {}) {
+
+		// Method 1. Container metadata (st3d right-left; Matroska StereoMode)
+		if (meta?.order) {
+			return { value: meta.order, method: this.METHOD.METADATA, evidence: meta.evidence?.order };
+		}
+		const tracks = s.video.videoTracks || [];
+		for (const track of tracks) {
+			const mode = track.stereoMode?.toLowerCase() || "";
+			const evidence = `videoTracks stereoMode "${mode}"`;
+			if (mode.includes("right_left") || mode.includes("bottom_top")) {
+				return { value: "right", method: this.METHOD.METADATA, evidence };
+			}
+			if (mode.includes("left_right") || mode.includes("top_bottom")) {
+				return { value: "left", method: this.METHOD.METADATA, evidence };
 			}
-		} catch (error) {
-			console.error(error);
 		}
 
-		// Method 2. Filename tokens (first match wins)
-		if (this.VR360_TOKENS.some(t => lower.includes(t))) {
-			return { value: "vr360", method: this.METHOD.FILENAME };
+		// Method 2. Filename rules
+		if (hints.eyeOrder) {
+			return {
+				value:    hints.eyeOrder.value,
+				method:   this.METHOD.FILENAME,
+				evidence: Rules.describe(hints.eyeOrder),
+			};
+		}
+
+		// Method 3. Default to left eye first
+		return { value: "left", method: this.METHOD.DEFAULT, evidence: "no eye order metadata" };
+	}
+
+	// Step 5: Determine sphere orientation from spherical metadata pose (degrees)
+	static detectPose(meta = null) {
+
+		// Method 1. Container metadata (sv3d/proj/prhd; V1 XMP Pose*; MKV ProjectionPose*)
+		if (meta?.pose) {
+			return { value: meta.pose, method: this.METHOD.METADATA, evidence: meta.evidence?.pose };
 		}
-		if (this.VR180_TOKENS.some(t => lower.includes(t))) {
-			return { value: "vr180", method: this.METHOD.FILENAME };
+
+		// Method 2. Default to level
+		return { value: { yaw: 0, pitch: 0, roll: 0 }, method: this.METHOD.DEFAULT, evidence: "no pose metadata" };
+	}
+
+	// Step 6: Determine the transfer function (sdr, pq or hlg) from container colour metadata
+	static detectTransfer(meta = null) {
+
+		// Method 1. Container metadata (MP4 colr/mdcv; MKV Colour)
+		if (meta?.transfer) {
+			return { value: meta.transfer, method: this.METHOD.METADATA, evidence: meta.evidence?.transfer };
 		}
 
-		// Method 3. Default to current value
-		return { value: s.projection, method: this.METHOD.DEFAULT };
+		// Method 2. Default to SDR
+		return { value: "sdr", method: this.METHOD.DEFAULT, evidence: "no colour metadata" };
+	}
+
+	// Describe frame dimensions and aspect ratio for detection evidence
+	static _aspectEvidence(w, h) {
+		return `${w}×${h}, aspect ratio ${(w / h).toFixed(2)}`;
 	}
 
-	// Detect projection from container metadata.
-	static async _detectProjectionFromMetadata(file, lowerName) {
-		const isMp4  = lowerName.endsWith(".mp4");
-		const isMov  = lowerName.endsWith(".mov");
-		const isMkv  = lowerName.endsWith(".mkv");
-		const isWebm = lowerName.endsWith(".webm");
+	// Bytes hashed from each end of a file for its fingerprint
+	static FINGERPRINT_BYTES = 16 * 1024;
 
-		if (isMp4 || isMov) {
-			const xmp = await this._extractXmpFromMp4(file);
-			if (!xmp) {
-				return null;
+	/**
+	 * Build a stable identifier for a video file (name, size and FNV-1a hash of its ends).
+	 * @param {File|Blob|string} fileOrUrl - Source file or blob: URL
+	 * @param {string} name - File name
+	 * @returns {Promise<string|null>} Fingerprint, or null when the file can't be read
+	 */
+	static async fingerprint(fileOrUrl, name) {
+		const blob = await this._blobFrom(fileOrUrl);
+		if (!blob) {
+			return null;
+		}
+		const n = this.FINGERPRINT_BYTES;
+		const head = new Uint8Array(await blob.slice(0, n).arrayBuffer());
+		const tail = new Uint8Array(await blob.slice(Math.max(0, blob.size - n)).arrayBuffer());
+
+		let hash = 0x811c9dc5;
+		for (const bytes of [head, tail]) {
+			for (let i = 0; i < bytes.length; i++) {
+				hash = Math.imul(hash ^ bytes[i], 0x01000193) >>> 0;
 			}
-			const projection = this._classifyFromXmp(xmp);
-			return projection; // 'vr180' | 'vr360' | null
+		}
+		return `${name}|${blob.size}|${hash.toString(16).padStart(8, "0")}`;
+	}
+
+	// Read stereo layout, eye order and projection from container metadata.
+	static async readMetadata(s) {
+		const lower = s.name.toLowerCase();
+		const isMp4  = lower.endsWith(".mp4");
+		const isMov  = lower.endsWith(".mov");
+		const isMkv  = lower.endsWith(".mkv");
+		const isWebm = lower.endsWith(".webm");
+
+		if (isMp4 || isMov) {
+			return this._readMp4Metadata(s.file);
 		}
 
 		if (isMkv || isWebm) {
-			const projType = await this._readMkvProjectionType(file);
-			if (projType === 1) {
-				return "vr360";
-			}
-			return null; // 0/2/3 or unknown → no classification
+			return this._readMkvMetadata(s.file);
 		}
 
 		return null;
 	}
 
-	// Read a byte slice from a File/Blob or blob: URL (no network).
-	static async _readBytes(fileOrUrl, start, length) {
+	/**
+	 * Read embedded text subtitle tracks: Matroska S_TEXT (SRT, ASS, WebVTT), WebM WebVTT and MP4 tx3g/wvtt.
+	 * Bitmap subtitles (PGS, VobSub) and closed captions are skipped.
+	 * @param {Object} s - Store state (name, file)
+	 * @param {AbortSignal} [signal] - Aborts the read (e.g. when another file is opened)
+	 * @returns {Promise<{ id: string, label: string, isDefault: boolean, cues: Object[] }[]>} Tracks with cues
+	 */
+	static async readSubtitleTracks(s, signal) {
+		const lower = s.name.toLowerCase();
+		const blob = await this._blobFrom(s.file);
+		if (!blob) {
+			return [];
+		}
+		let tracks = [];
+		if (lower.endsWith(".mp4") || lower.endsWith(".mov")) {
+			tracks = await this._readMp4Subtitles(blob, signal);
+		} else if (lower.endsWith(".mkv") || lower.endsWith(".webm")) {
+			tracks = await this._readMkvSubtitles(blob, signal);
+		}
+		return tracks
+			.map(({ id, label, isDefault, cues }) => ({ id, label, isDefault, cues: Subtitles.tidy(cues) }))
+			.filter(track => track.cues.length);
+	}
+
+	// Name a subtitle track from its title and language ("und" is no language)
+	static _subtitleLabel(number, name, language) {
+		const parts = [name, language && language !== "und" ? language : null].filter(Boolean);
+		return parts.length ? parts.join(" · ") : `Track ${number}`;
+	}
+
+	// Resolve a File/Blob or blob: URL to a Blob (no network).
+	static async _blobFrom(fileOrUrl) {
 		if (typeof fileOrUrl === "string") {
 			// Only support blob: URLs to respect Offline First
 			if (!fileOrUrl.startsWith("blob:")) {
 				return null;
 			}
 			const res = await fetch(fileOrUrl);
-			const blob = await res.blob();
-			return blob.slice(start, start + length).arrayBuffer();
+			return res.blob();
 		} else if (fileOrUrl && typeof fileOrUrl.slice === "function") {
-			return fileOrUrl.slice(start, start + length).arrayBuffer();
+			return fileOrUrl;
 		}
 		return null;
 	}
 
-	// Extract XMP packet from MP4/MOV by scanning initial bytes
-	static async _extractXmpFromMp4(fileOrUrl) {
-		const CHUNK = 16 * 1024 * 1024; // 16MB
-		const buf = await this._readBytes(fileOrUrl, 0, CHUNK);
-		if (!buf) {
+	// Read a byte slice from a File/Blob or blob: URL (no network).
+	static async _readBytes(fileOrUrl, start, length) {
+		const blob = await this._blobFrom(fileOrUrl);
+		if (!blob) {
 			return null;
 		}
-		const bytes = new Uint8Array(buf);
-		const text = this._asciiFromBytes(bytes);
-		const startIdx = text.indexOf("<x:xmpmeta");
-		if (startIdx === -1) {
+		return blob.slice(start, start + length).arrayBuffer();
+	}
+
+	// Spherical Video V1 track UUID (XMP payload follows)
+	static SPHERICAL_V1_UUID = "ffcc8263f8554a938814587a02521fdd";
+
+	// Largest `moov` box we are willing to load into memory
+	static MP4_MOOV_MAX = 64 * 1024 * 1024;
+
+	/**
+	 * Read stereo layout and projection from MP4/MOV spherical metadata.
+	 * Prefers Spherical Video V2 boxes (st3d, sv3d/proj/equi|cbmp) on the video sample entry
+	 * and falls back to the V1 XMP `uuid` box on the track.
+	 * @param {File|Blob|string} fileOrUrl - Source file or blob: URL
+	 * @returns {Promise<{ layout: string|null, order: string|null, projection: string|null,
+	 *   coverage: Object|null, evidence: Object<string, string> }|null>} Detected values and the fields they came from
+	 */
+	static async _readMp4Metadata(fileOrUrl) {
+		const moov = await this._readMp4Moov(fileOrUrl);
+		if (!moov) {
 			return null;
 		}
-		const endTag = "</x:xmpmeta>";
-		const endIdx = text.indexOf(endTag, startIdx);
-		if (endIdx === -1) {
+		const dv = new DataView(moov);
+		const result = {
+			layout: null, order: null, projection: null, coverage: null, pose: null, transfer: null, evidence: {},
+		};
+
+		for (const trak of this._mp4Boxes(dv, 0, dv.byteLength)) {
+			if (trak.type !== "trak") {
+				continue;
+			}
+
+			// Only video tracks carry stereo/projection boxes
+			const hdlr = this._mp4Find(dv, trak, ["mdia", "hdlr"]);
+			if (!hdlr || hdlr.end - hdlr.start < 12 || this._fourcc(dv, hdlr.start + 8) !== "vide") {
+				continue;
+			}
+
+			// Spherical Video V2: boxes inside the visual sample entry
+			const stsd = this._mp4Find(dv, trak, ["mdia", "minf", "stbl", "stsd"]);
+			if (stsd) {
+				// stsd is a full box followed by an entry count
+				for (const entry of this._mp4Boxes(dv, stsd.start + 8, stsd.end)) {
+					// VisualSampleEntry fields occupy 78 bytes before child boxes
+					const children = this._mp4Boxes(dv, entry.start + 78, entry.end);
+					const st3d = children.find(b => b.type === "st3d");
+					const sv3d = children.find(b => b.type === "sv3d");
+					const stereo = (st3d && !result.layout) ? this._stereoFromSt3d(dv, st3d) : null;
+					if (stereo) {
+						result.layout = stereo.layout;
+						result.order = stereo.order;
+						result.evidence.layout = result.evidence.order = stereo.evidence;
+					}
+					const projection = (sv3d && !result.projection) ? this._projectionFromSv3d(dv, sv3d) : null;
+					if (projection) {
+						result.projection = projection.projection;
+						result.coverage = projection.coverage ?? null;
+						result.evidence.projection = projection.evidence;
+					}
+					const colour = result.transfer ? null : this._transferFromColr(dv, children);
+					if (colour) {
+						result.transfer = colour.transfer;
+						result.evidence.transfer = colour.evidence;
+					}
+					const pose = sv3d ? this._poseFromSv3d(dv, sv3d) : null;
+					if (pose && !result.pose) {
+						result.pose = pose;
+						result.evidence.pose = `sv3d/proj/prhd ${this._poseEvidence(pose)}`;
+					}
+				}
+			}
+
+			// Spherical Video V1: XMP inside a track-level uuid box
+			if (!result.projection) {
+				const xmp = this._xmpFromTrak(dv, trak);
+				if (xmp) {
+					const fields = `XMP ${this._xmpFields(xmp)}`;
+					const classified = this._classifyFromXmp(xmp);
+					result.projection = classified?.projection ?? null;
+					result.coverage = classified?.coverage ?? null;
+					result.evidence.projection = fields + this._coverageEvidence(result.coverage);
+					result.pose = this._poseFromXmp(xmp);
+					if (result.pose) {
+						result.evidence.pose = `XMP ${this._poseEvidence(result.pose)}`;
+					}
+					if (!result.layout) {
+						result.layout = this._layoutFromXmp(xmp);
+						result.evidence.layout = fields;
+					}
+				}
+			}
+
+			if (result.layout || result.projection || result.transfer) {
+				return result;
+			}
+		}
+
+		return null;
+	}
+
+	// Locate the top-level `moov` box wherever it sits and read its payload.
+	static async _readMp4Moov(fileOrUrl) {
+		const blob = await this._blobFrom(fileOrUrl);
+		if (!blob) {
 			return null;
 		}
-		return text.slice(startIdx, endIdx + endTag.length);
+		const fileSize = blob.size;
+		let offset = 0;
+
+		while (offset + 8 <= fileSize) {
+			const header = new DataView(await blob.slice(offset, offset + 16).arrayBuffer());
+			if (header.byteLength < 8) {
+				return null;
+			}
+			let size = header.getUint32(0);
+			const type = this._fourcc(header, 4);
+			let headerSize = 8;
+			if (size === 1) {
+				if (header.byteLength < 16) {
+					return null;
+				}
+				size = Number(header.getBigUint64(8));
+				headerSize = 16;
+			} else if (size === 0) {
+				size = fileSize - offset; // Box extends to end of file
+			}
+			if (size < headerSize) {
+				return null; // Corrupt box; stop walking
+			}
+
+			if (type === "moov") {
+				const payload = size - headerSize;
+				if (payload > this.MP4_MOOV_MAX) {
+					return null;
+				}
+				return blob.slice(offset + headerSize, offset + size).arrayBuffer();
+			}
+			offset += size;
+		}
+
+		return null;
 	}
 
-	// Convert bytes to a permissive ASCII string for tag scanning
-	static _asciiFromBytes(bytes) {
+	/**
+	 * List child boxes within a byte range of an ISO-BMFF buffer.
+	 * @param {DataView} dv - Buffer view
+	 * @param {number} start - First byte of the first child box
+	 * @param {number} end - Byte after the last child box
+	 * @returns {{ type: string, start: number, end: number }[]} Boxes with payload start and box end
+	 */
+	static _mp4Boxes(dv, start, end) {
+		const boxes = [];
+		const limit = Math.min(end, dv.byteLength);
+		let p = start;
+		while (p + 8 <= limit) {
+			let size = dv.getUint32(p);
+			const type = this._fourcc(dv, p + 4);
+			let headerSize = 8;
+			if (size === 1) {
+				if (p + 16 > limit) {
+					break;
+				}
+				size = Number(dv.getBigUint64(p + 8));
+				headerSize = 16;
+			} else if (size === 0) {
+				size = limit - p;
+			}
+			if (size < headerSize || p + size > limit) {
+				break;
+			}
+			boxes.push({ type, start: p + headerSize, end: p + size });
+			p += size;
+		}
+		return boxes;
+	}
+
+	// Follow a path of box types from a parent box, returning the first match.
+	static _mp4Find(dv, box, path) {
+		let current = box;
+		for (const type of path) {
+			current = this._mp4Boxes(dv, current.start, current.end).find(b => b.type === type);
+			if (!current) {
+				return null;
+			}
+		}
+		return current;
+	}
+
+	// Read a four-character code at an offset
+	static _fourcc(dv, pos) {
 		let s = "";
-		for (let i = 0; i < bytes.length; i++) {
-			const c = bytes[i];
-			s += (c >= 32 && c <= 126) || c === 9 || c === 10 || c === 13 ? String.fromCharCode(c) : "\\u0000";
+		for (let i = 0; i < 4; i++) {
+			s += String.fromCharCode(dv.getUint8(pos + i));
 		}
 		return s;
 	}
 
-	// Classify projection from XMP content.
+	// Map st3d stereo_mode to layout and eye order (0 mono, 1 top-bottom, 2 left-right, 4 right-left)
+	static _stereoFromSt3d(dv, st3d) {
+		// Full box: version/flags precede stereo_mode
+		if (st3d.end - st3d.start < 5) {
+			return null;
+		}
+		const mode = dv.getUint8(st3d.start + 4);
+		const evidence = `st3d stereo_mode ${mode}`;
+		if (mode === 1) {
+			return { layout: "ou", order: "left", evidence };
+		}
+		if (mode === 2) {
+			return { layout: "sbs", order: "left", evidence };
+		}
+		if (mode === 4) {
+			return { layout: "sbs", order: "right", evidence };
+		}
+		return null;
+	}
+
+	// H.273 transfer characteristics that need tone mapping (shared by MP4 colr and Matroska Colour)
+	static HDR_TRANSFERS = { 16: "pq", 18: "hlg" };
+
+	// Read the transfer function from a sample entry's colr box, falling back to mdcv (HDR10 mastering display)
+	static _transferFromColr(dv, children) {
+		const colr = children.find(b => b.type === "colr");
+		const mdcv = children.find(b => b.type === "mdcv");
+		const type = (colr && colr.end - colr.start >= 10) ? this._fourcc(dv, colr.start) : null;
+
+		// nclx (ISO) and nclc (QuickTime) both start with primaries, transfer and matrix as uint16
+		if (type === "nclx" || type === "nclc") {
+			const primaries = dv.getUint16(colr.start + 4);
+			const code = dv.getUint16(colr.start + 6);
+			const evidence = `colr ${type} primaries ${primaries}, transfer ${code}${mdcv ? ", mdcv present" : ""}`;
+			return { transfer: this.HDR_TRANSFERS[code] ?? (mdcv ? "pq" : "sdr"), evidence };
+		}
+		if (mdcv) {
+			return { transfer: "pq", evidence: "mdcv mastering display metadata" };
+		}
+		return null;
+	}
+
+	// Classify projection from sv3d/proj, using equi bounds for the covered area
+	static _projectionFromSv3d(dv, sv3d) {
+		const proj = this._mp4Find(dv, sv3d, ["proj"]);
+		if (!proj) {
+			return null;
+		}
+		const projBoxes = this._mp4Boxes(dv, proj.start, proj.end);
+
+		// Cubemap: full box, then layout and padding
+		const cbmp = projBoxes.find(b => b.type === "cbmp");
+		if (cbmp && cbmp.end - cbmp.start >= 12) {
+			return {
+				projection: "cubemap",
+				evidence:   `sv3d/proj/cbmp layout ${dv.getUint32(cbmp.start + 4)}`,
+			};
+		}
+
+		const equi = projBoxes.find(b => b.type === "equi");
+		if (!equi || equi.end - equi.start < 20) {
+			return null;
+		}
+
+		// Full box, then top/bottom/left/right bounds as 0.32 fixed point
+		const bounds = this._equirectBounds(dv, equi.start);
+		const { projection, coverage } = this._equirectFromBounds(bounds);
+		return {
+			projection,
+			coverage,
+			evidence: `sv3d/proj/equi bounds ${this._boundsEvidence(bounds)}${this._coverageEvidence(coverage)}`,
+		};
+	}
+
+	// Read the projection header pose: full box, then yaw/pitch/roll as 16.16 fixed-point degrees
+	static _poseFromSv3d(dv, sv3d) {
+		const prhd = this._mp4Find(dv, sv3d, ["proj", "prhd"]);
+		if (!prhd || prhd.end - prhd.start < 16) {
+			return null;
+		}
+		return {
+			yaw:   dv.getInt32(prhd.start + 4) / 65536,
+			pitch: dv.getInt32(prhd.start + 8) / 65536,
+			roll:  dv.getInt32(prhd.start + 12) / 65536,
+		};
+	}
+
+	// Read V1 GSpherical pose fields (heading, pitch and roll in degrees)
+	static _poseFromXmp(xmp) {
+		const read = (name) => {
+			const m = xmp.match(new RegExp(`GSpherical:${name}(?:="([^"]*)"|[^>]*>\\s*([^<]*?)\\s*<)`, "i"));
+			return m ? parseFloat(m[1] ?? m[2]) : NaN;
+		};
+		const pose = {
+			yaw:   read("PoseHeadingDegrees"),
+			pitch: read("PosePitchDegrees"),
+			roll:  read("PoseRollDegrees"),
+		};
+		if (!Object.values(pose).some(isFinite)) {
+			return null;
+		}
+		for (const key in pose) {
+			pose[key] = isFinite(pose[key]) ? pose[key] : 0;
+		}
+		return pose;
+	}
+
+	// Describe a pose for detection evidence
+	static _poseEvidence({ yaw, pitch, roll }) {
+		return `yaw ${yaw}º, pitch ${pitch}º, roll ${roll}º`;
+	}
+
+	// Extract the V1 XMP packet from a track's spherical uuid box
+	static _xmpFromTrak(dv, trak) {
+		for (const box of this._mp4Boxes(dv, trak.start, trak.end)) {
+			if (box.type !== "uuid" || box.end - box.start <= 16) {
+				continue;
+			}
+			let uuid = "";
+			for (let i = 0; i < 16; i++) {
+				uuid += dv.getUint8(box.start + i).toString(16).padStart(2, "0");
+			}
+			if (uuid === this.SPHERICAL_V1_UUID) {
+				const bytes = new Uint8Array(dv.buffer, dv.byteOffset + box.start + 16, box.end - box.start - 16);
+				return new TextDecoder("utf-8").decode(bytes);
+			}
+		}
+		return null;
+	}
+
+	// Summarise the GSpherical/GPano fields present in an XMP packet
+	static _xmpFields(xmp) {
+		const fields = [];
+		const re = /(?<!\/)(?:GSpherical|GPano):(\w+)(?:="([^"]*)"|[^>]*>\s*([^<]*?)\s*<)/gi;
+		for (const m of xmp.matchAll(re)) {
+			fields.push(`${m[1]}=${m[2] ?? m[3]}`);
+		}
+		return fields.join(", ");
+	}
+
+	// Read GSpherical:StereoMode from V1 XMP
+	static _layoutFromXmp(xmp) {
+		const m = xmp.match(/GSpherical:StereoMode[^>]*>\s*([^<\s]+)/i);
+		const mode = m ? m[1].toLowerCase() : "";
+		if (mode === "top-bottom") {
+			return "ou";
+		}
+		if (mode === "left-right") {
+			return "sbs";
+		}
+		return null;
+	}
+
+	// Classify projection and coverage from V1 XMP GPano/GSpherical cropping fields
 	static _classifyFromXmp(xmp) {
 		const get = (tag) => {
 			const re = new RegExp(`<[^>]*${tag}[^>]*>([^<]+)<\\/[^>]*${tag}[^>]*>`, "i");
@@ -248,150 +1016,817 @@ export class Detector {
 			return m ? m[1].trim() : null;
 		};
 
-		// ProjectionType can appear under GSpherical or GPano
-		let proj =
-			get("GSpherical:ProjectionType")
-			|| get("GPano:ProjectionType")
-			|| getAttr("GPano:ProjectionType")
-			|| getAttr("GSpherical:ProjectionType");
-		if (!proj) {
-			return null;
-		}
-		proj = proj.toLowerCase();
-		if (proj !== "equirectangular") {
+		// Fields can appear under GSpherical or GPano, as elements or attributes
+		const field = (name) =>
+			get(`GSpherical:${name}`)
+			|| get(`GPano:${name}`)
+			|| getAttr(`GPano:${name}`)
+			|| getAttr(`GSpherical:${name}`);
+
+		const proj = field("ProjectionType");
+		if (!proj || proj.toLowerCase() !== "equirectangular") {
 			return null;
 		}
 
 		const toNum = (v) => (v ? parseFloat(v) : NaN);
-		const fullW =
-			toNum(get("GPano:FullPanoWidthPixels")
-			|| get("GSpherical:FullPanoWidthPixels")
-			|| getAttr("GPano:FullPanoWidthPixels")
-			|| getAttr("GSpherical:FullPanoWidthPixels"));
-		const fullH =
-			toNum(get("GPano:FullPanoHeightPixels")
-			|| get("GSpherical:FullPanoHeightPixels")
-			|| getAttr("GPano:FullPanoHeightPixels")
-			|| getAttr("GSpherical:FullPanoHeightPixels"));
-		const cropW =
-			toNum(get("GPano:CroppedAreaImageWidthPixels")
-			|| get("GSpherical:CroppedAreaImageWidthPixels")
-			|| getAttr("GPano:CroppedAreaImageWidthPixels")
-			|| getAttr("GSpherical:CroppedAreaImageWidthPixels"));
-		const cropH =
-			toNum(get("GPano:CroppedAreaImageHeightPixels")
-			|| get("GSpherical:CroppedAreaImageHeightPixels")
-			|| getAttr("GPano:CroppedAreaImageHeightPixels")
-			|| getAttr("GSpherical:CroppedAreaImageHeightPixels"));
-
-		if (isFinite(fullW) && isFinite(fullH) && isFinite(cropW) && isFinite(cropH) && fullW > 0 && fullH > 0) {
-			const wRatio = cropW / fullW;
-			const hRatio = cropH / fullH;
-			if (wRatio >= 0.49 && wRatio <= 0.51 && hRatio >= 0.95 && hRatio <= 1.05) {
-				return "vr180";
-			}
-		}
-		return "vr360";
-	}
-
-	// Minimal EBML walker to find Matroska Video.ProjectionType.
-	static async _readMkvProjectionType(fileOrUrl) {
-		// Read first 4MB which typically contains Tracks
+		const fullW = toNum(field("FullPanoWidthPixels"));
+		const fullH = toNum(field("FullPanoHeightPixels"));
+		const cropW = toNum(field("CroppedAreaImageWidthPixels"));
+		const cropH = toNum(field("CroppedAreaImageHeightPixels"));
+		if (!(fullW > 0 && fullH > 0 && cropW > 0 && cropH > 0)) {
+			return { projection: "vr360", coverage: null };
+		}
+
+		// Missing offsets mean the crop is centered in the full panorama
+		let cropL = toNum(field("CroppedAreaLeftPixels"));
+		let cropT = toNum(field("CroppedAreaTopPixels"));
+		cropL = isFinite(cropL) ? cropL : (fullW - cropW) / 2;
+		cropT = isFinite(cropT) ? cropT : (fullH - cropH) / 2;
+
+		return this._equirectFromBounds({
+			left:   cropL / fullW,
+			right:  1 - (cropL + cropW) / fullW,
+			top:    cropT / fullH,
+			bottom: 1 - (cropT + cropH) / fullH,
+		});
+	}
+
+	/**
+	 * Classify equirectangular coverage from the fractions cropped off each edge of the full sphere.
+	 * Standard 180º/360º frames map to their own projections, anything else to "custom".
+	 * @param {{ left: number, right: number, top: number, bottom: number }} bounds - Cropped fractions (0–1)
+	 * @returns {{ projection: string, coverage: { hFov: number, vFov: number, yaw: number, pitch: number }|null }}
+	 *   Projection and, for custom coverage, its extent and center in degrees
+	 */
+	static _equirectFromBounds({ left, right, top, bottom }) {
+		const hFov = 360 * (1 - left - right);
+		const vFov = 180 * (1 - top - bottom);
+		const yaw = 180 * (left - right);
+		const pitch = 90 * (bottom - top);
+
+		const near = (a, b) => Math.abs(a - b) < 1;
+		if (near(vFov, 180) && near(pitch, 0) && near(yaw, 0)) {
+			if (near(hFov, 360)) {
+				return { projection: "vr360", coverage: null };
+			}
+			if (near(hFov, 180)) {
+				return { projection: "vr180", coverage: null };
+			}
+		}
+		const round = (v) => Math.round(v * 10) / 10;
+		return {
+			projection: "custom",
+			coverage:   { hFov: round(hFov), vFov: round(vFov), yaw: round(yaw), pitch: round(pitch) },
+		};
+	}
+
+	// Read top/bottom/left/right 0.32 fixed-point bounds following a full box header
+	static _equirectBounds(dv, start) {
+		const FIXED_0_32 = 2 ** 32;
+		return {
+			top:    dv.getUint32(start + 4) / FIXED_0_32,
+			bottom: dv.getUint32(start + 8) / FIXED_0_32,
+			left:   dv.getUint32(start + 12) / FIXED_0_32,
+			right:  dv.getUint32(start + 16) / FIXED_0_32,
+		};
+	}
+
+	// Describe cropped-edge fractions for the detection report
+	static _boundsEvidence(bounds) {
+		return Object.entries(bounds).map(([edge, v]) => `${edge} ${v.toFixed(3)}`).join(", ");
+	}
+
+	// Describe detected coverage for the detection report
+	static _coverageEvidence(coverage) {
+		if (!coverage) {
+			return "";
+		}
+		const { hFov, vFov, yaw, pitch } = coverage;
+		return ` → ${hFov}º × ${vFov}º centered at ${yaw}º, ${pitch}º`;
+	}
+
+	// MP4 subtitle sample entries, by the format their samples carry
+	static MP4_SUBTITLE_FORMATS = { tx3g: "tx3g", wvtt: "vtt" };
+
+	// Largest subtitle sample kept, and the most bytes read in one piece from a run of adjacent samples
+	static MP4_SAMPLE_MAX = 64 * 1024;
+	static MP4_READ_MAX = 1024 * 1024;
+
+	/**
+	 * Read text subtitle tracks from an MP4/MOV sample table, one read per run of adjacent samples.
+	 * @param {Blob} blob - Source file
+	 * @param {AbortSignal} [signal] - Aborts the read
+	 * @returns {Promise<{ id: string, label: string, isDefault: boolean, cues: Object[] }[]>} Tracks with raw cues
+	 */
+	static async _readMp4Subtitles(blob, signal) {
+		const moov = await this._readMp4Moov(blob);
+		if (!moov) {
+			return [];
+		}
+		const dv = new DataView(moov);
+		const tracks = [];
+		for (const trak of this._mp4Boxes(dv, 0, dv.byteLength)) {
+			const stsd = trak.type === "trak" && this._mp4Find(dv, trak, ["mdia", "minf", "stbl", "stsd"]);
+			const entry = stsd && this._mp4Boxes(dv, stsd.start + 8, stsd.end)[0];
+			const format = entry && this.MP4_SUBTITLE_FORMATS[entry.type];
+			const mdhd = format && this._mp4Find(dv, trak, ["mdia", "mdhd"]);
+			if (!mdhd) {
+				continue;
+			}
+
+			// Media header: timescale and packed ISO 639-2 language (version 1 has 64-bit times)
+			const v1 = dv.getUint8(mdhd.start) === 1;
+			const timescale = dv.getUint32(mdhd.start + (v1 ? 20 : 12));
+			const packed = dv.getUint16(mdhd.start + (v1 ? 32 : 20));
+			const language = [10, 5, 0].map(shift => String.fromCharCode(((packed >> shift) & 0x1F) + 0x60)).join("");
+			const tkhd = this._mp4Find(dv, trak, ["tkhd"]);
+			const trackIdAt = tkhd && tkhd.start + (dv.getUint8(tkhd.start) === 1 ? 20 : 12);
+			const number = tkhd ? dv.getUint32(trackIdAt) : tracks.length + 1;
+
+			const cues = [];
+			const samples = this._mp4Samples(dv, trak, timescale, blob.size)
+				.filter(sample => sample.size <= this.MP4_SAMPLE_MAX);
+			for (const run of this._mp4SampleRuns(samples)) {
+				signal?.throwIfAborted();
+				const bytes = await blob.slice(run.start, run.end).arrayBuffer();
+				for (const sample of run.samples) {
+					if (sample.offset + sample.size > run.start + bytes.byteLength) {
+						break; // Truncated file
+					}
+					const payload = new DataView(bytes, sample.offset - run.start, sample.size);
+					const text = (format === "tx3g") ? this._tx3gText(payload) : this._wvttText(payload);
+					if (text) {
+						cues.push(Subtitles.embeddedCue(sample.start, sample.end, text, format));
+					}
+				}
+			}
+			tracks.push({
+				id:        `mp4-${number}`,
+				label:     this._subtitleLabel(number, null, language),
+				isDefault: !tkhd || (dv.getUint8(tkhd.start + 3) & 1) === 1,
+				cues,
+			});
+		}
+		return tracks;
+	}
+
+	// Group samples stored back to back into byte ranges of at most MP4_READ_MAX
+	static _mp4SampleRuns(samples) {
+		const runs = [];
+		let run = null;
+		samples.forEach(sample => {
+			if (!run || sample.offset !== run.end || sample.offset + sample.size - run.start > this.MP4_READ_MAX) {
+				run = { start: sample.offset, end: sample.offset, samples: [] };
+				runs.push(run);
+			}
+			run.end = sample.offset + sample.size;
+			run.samples.push(sample);
+		});
+		return runs;
+	}
+
+	// Sample positions and times (seconds) from a track's stts, stsz, stsc and stco/co64 boxes. Entry counts must
+	// fit their box (and fixed-size samples the file), so a corrupt table can't demand a huge allocation.
+	static _mp4Samples(dv, trak, timescale, fileSize) {
+		const stbl = this._mp4Find(dv, trak, ["mdia", "minf", "stbl"]);
+		const boxes = stbl ? this._mp4Boxes(dv, stbl.start, stbl.end) : [];
+		const box = (type) => boxes.find(b => b.type === type);
+		const stts = box("stts"), stsz = box("stsz"), stsc = box("stsc"), stco = box("stco") ?? box("co64");
+		if (!stts || !stsz || !stsc || !stco || !timescale) {
+			return [];
+		}
+
+		// Entry count of a table box, or null when the box can't hold that many entries
+		const entries = (table, header, entrySize) => {
+			const n = table.end - table.start >= header ? dv.getUint32(table.start + header - 4) : Infinity;
+			return n <= (table.end - table.start - header) / entrySize ? n : null;
+		};
+
+		// Sizes (a fixed size applies to every sample)
+		const fixed = stsz.end - stsz.start >= 12 ? dv.getUint32(stsz.start + 4) : 0;
+		const count = fixed ? dv.getUint32(stsz.start + 8) : entries(stsz, 12, 4);
+		const is64 = stco.type === "co64";
+		const chunkCount = entries(stco, 8, is64 ? 8 : 4);
+		const runCount = entries(stsc, 8, 12);
+		const timeCount = entries(stts, 8, 8);
+		if (count === null || (fixed && count > fileSize / fixed) || [chunkCount, runCount, timeCount].includes(null)) {
+			return [];
+		}
+		const sizes = Array.from({ length: count }, (_, i) => fixed || dv.getUint32(stsz.start + 12 + i * 4));
+
+		// Chunk offsets, then samples laid out chunk by chunk
+		const chunks = Array.from({ length: chunkCount }, (_, i) => (is64
+			? Number(dv.getBigUint64(stco.start + 8 + i * 8))
+			: dv.getUint32(stco.start + 8 + i * 4)));
+		const runs = Array.from({ length: runCount }, (_, i) => ({
+			first:   dv.getUint32(stsc.start + 8 + i * 12),
+			samples: dv.getUint32(stsc.start + 12 + i * 12),
+		}));
+		const offsets = [];
+		runs.forEach((run, r) => {
+			const last = Math.min(runs[r + 1]?.first ?? chunks.length + 1, chunks.length + 1) - 1;
+			for (let chunk = Math.max(run.first, 1); chunk <= last && offsets.length < count; chunk++) {
+				let offset = chunks[chunk - 1];
+				for (let i = 0; i < run.samples && offsets.length < count; i++) {
+					offsets.push(offset);
+					offset += sizes[offsets.length - 1];
+				}
+			}
+		});
+
+		// Decode times from (count, delta) runs
+		const samples = [];
+		let time = 0;
+		for (let i = 0, p = stts.start + 8; i < timeCount; i++, p += 8) {
+			const delta = dv.getUint32(p + 4);
+			for (let n = dv.getUint32(p); n > 0 && samples.length < offsets.length; n--) {
+				const index = samples.length;
+				samples.push({
+					offset: offsets[index],
+					size:   sizes[index],
+					start:  time / timescale,
+					end:    (time + delta) / timescale,
+				});
+				time += delta;
+			}
+		}
+		return samples;
+	}
+
+	// 3GPP timed text sample: 16-bit length, then UTF-8 (or UTF-16 with a BOM) text and style boxes
+	static _tx3gText(dv) {
+		if (dv.byteLength < 2) {
+			return "";
+		}
+		const length = Math.min(dv.getUint16(0), dv.byteLength - 2);
+		const bytes = new Uint8Array(dv.buffer, dv.byteOffset + 2, length);
+		const utf16 = length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF;
+		return new TextDecoder(utf16 ? "utf-16be" : "utf-8").decode(bytes);
+	}
+
+	// ISO WebVTT sample: vttc cue boxes each holding a payl text box (vtte marks a gap)
+	static _wvttText(dv) {
+		return this._mp4Boxes(dv, 0, dv.byteLength)
+			.filter(cue => cue.type === "vttc")
+			.flatMap(cue => this._mp4Boxes(dv, cue.start, cue.end).filter(b => b.type === "payl"))
+			.map(payl => new Uint8Array(dv.buffer, dv.byteOffset + payl.start, payl.end - payl.start))
+			.map(bytes => new TextDecoder().decode(bytes))
+			.join("\n");
+	}
+
+	// Matroska element IDs
+	static EBML_ID = {
+		SEGMENT:               0x18538067,
+		SEEK_HEAD:             0x114D9B74,
+		SEEK:                  0x4DBB,
+		SEEK_ID:               0x53AB,
+		SEEK_POSITION:         0x53AC,
+		CLUSTER:               0x1F43B675,
+		TRACKS:                0x1654AE6B,
+		TRACK_ENTRY:           0xAE,
+		VIDEO:                 0xE0,
+		STEREO_MODE:           0x53B8,
+		PROJECTION:            0x7670,
+		PROJECTION_TYPE:       0x7671,
+		PROJECTION_PRIVATE:    0x7672,
+		POSE_YAW:              0x7673,
+		POSE_PITCH:            0x7674,
+		POSE_ROLL:             0x7675,
+		COLOUR:                0x55B0,
+		TRANSFER:              0x55BA,
+		PRIMARIES:             0x55BB,
+		MASTERING_METADATA:    0x55D0,
+		EBML:                  0x1A45DFA3,
+		INFO:                  0x1549A966,
+		TIMECODE_SCALE:        0x2AD7B1,
+		TRACK_NUMBER:          0xD7,
+		TRACK_TYPE:            0x83,
+		CODEC_ID:              0x86,
+		NAME:                  0x536E,
+		LANGUAGE:              0x22B59C,
+		FLAG_DEFAULT:          0x88,
+		CUES:                  0x1C53BB6B,
+		CUE_POINT:             0xBB,
+		CUE_TIME:              0xB3,
+		CUE_TRACK_POSITIONS:   0xB7,
+		CUE_TRACK:             0xF7,
+		CUE_CLUSTER_POSITION:  0xF1,
+		CUE_RELATIVE_POSITION: 0xF0,
+		CUE_DURATION:          0xB2,
+		SIMPLE_BLOCK:          0xA3,
+		BLOCK_GROUP:           0xA0,
+		BLOCK:                 0xA1,
+		BLOCK_DURATION:        0x9B,
+	};
+
+	// Matroska text subtitle codecs, by the format their blocks carry
+	static MKV_SUBTITLE_CODECS = {
+		"S_TEXT/UTF8":        "srt",
+		"S_TEXT/ASS":         "ass",
+		"S_TEXT/SSA":         "ass",
+		"S_TEXT/WEBVTT":      "vtt",
+		"D_WEBVTT/SUBTITLES": "vtt",
+		"D_WEBVTT/CAPTIONS":  "vtt",
+	};
+
+	// Largest index element (Info, Tracks, SeekHead, Cues) and subtitle block read while collecting subtitles
+	static MKV_INDEX_MAX = 16 * 1024 * 1024;
+	static MKV_BLOCK_MAX = 1024 * 1024;
+
+	// Matroska StereoMode → layout and which eye is stored first
+	static MKV_STEREO_MODES = {
+		1:  { layout: "sbs", order: "left" },
+		2:  { layout: "ou",  order: "right" },
+		3:  { layout: "ou",  order: "left" },
+		11: { layout: "sbs", order: "right" },
+	};
+
+	/**
+	 * Read stereo layout, eye order, projection, pose and transfer function from Matroska/WebM.
+	 * Walks the Segment head for Tracks and follows the SeekHead when Tracks sit further in.
+	 * @param {File|Blob|string} fileOrUrl - Source file or blob: URL
+	 * @returns {Promise<{ layout: string|null, order: string|null, projection: string|null, coverage: Object|null,
+	 *   pose: { yaw: number, pitch: number, roll: number }|null, transfer: string|null,
+	 *   evidence: Object<string, string> }|null>}
+	 *   Detected values and the fields they came from
+	 */
+	static async _readMkvMetadata(fileOrUrl) {
+		const ID = this.EBML_ID;
+
+		// Read first 4MB which typically contains SeekHead and Tracks
 		const CHUNK = 4 * 1024 * 1024;
 		const buf = await this._readBytes(fileOrUrl, 0, CHUNK);
 		if (!buf) {
 			return null;
 		}
 		const dv = new DataView(buf);
-		const len = dv.byteLength;
-		let offset = 0;
 
-		const readVint = (pos, forId = false) => {
-			if (pos >= len) {
-				return null;
+		// Skip the EBML header and enter the Segment
+		const segment = this._ebmlElements(dv, 0, dv.byteLength).find(el => el.id === ID.SEGMENT);
+		if (!segment) {
+			return null;
+		}
+
+		// Walk Segment children until Tracks or the first Cluster
+		let tracksPosition = null;
+		for (const el of this._ebmlElements(dv, segment.start, segment.end)) {
+			if (el.id === ID.TRACKS && el.end <= dv.byteLength) {
+				return this._mkvFromTracks(dv, el);
 			}
-			const first = dv.getUint8(pos);
-			let mask = 0x80;
-			let width = 1;
-			while (width <= 8 && (first & mask) === 0) {
-				mask >>= 1;
-				width++;
+			if (el.id === ID.SEEK_HEAD && tracksPosition === null) {
+				tracksPosition = this._mkvSeekPosition(dv, el, ID.TRACKS);
 			}
-			if (width > 8 || pos + width > len) {
-				return null;
+			if (el.id === ID.CLUSTER) {
+				break;
+			}
+		}
+		if (tracksPosition === null) {
+			return null;
+		}
+
+		// Follow the SeekHead: positions are relative to the Segment data start
+		const absolute = segment.start + tracksPosition;
+		const header = await this._readBytes(fileOrUrl, absolute, 12);
+		const headerView = new DataView(header);
+		const id = this._ebmlVint(headerView, 0, true);
+		const size = id && this._ebmlVint(headerView, id.width, false);
+		if (!id || !size || id.value !== ID.TRACKS || size.unknown || size.value > CHUNK) {
+			return null;
+		}
+		const dataStart = id.width + size.width;
+		const tracksBuf = await this._readBytes(fileOrUrl, absolute, dataStart + size.value);
+		const tracksView = new DataView(tracksBuf);
+		return this._mkvFromTracks(tracksView, { id: ID.TRACKS, start: dataStart, end: tracksView.byteLength });
+	}
+
+	// Find a SeekPosition for a target element ID within a SeekHead
+	static _mkvSeekPosition(dv, seekHead, targetId) {
+		const ID = this.EBML_ID;
+		for (const seek of this._ebmlElements(dv, seekHead.start, seekHead.end)) {
+			if (seek.id !== ID.SEEK) {
+				continue;
 			}
-			let value = forId ? first : (first & (~mask));
-			for (let i = 1; i < width; i++) {
-				value = (value << 8) | dv.getUint8(pos + i);
+			const children = this._ebmlElements(dv, seek.start, seek.end);
+			const seekId = children.find(el => el.id === ID.SEEK_ID);
+			const position = children.find(el => el.id === ID.SEEK_POSITION);
+			if (seekId && position && this._ebmlUint(dv, seekId) === targetId) {
+				return this._ebmlUint(dv, position);
 			}
-			return { value, width };
-		};
+		}
+		return null;
+	}
 
-		let found = null;
-		const seekWithin = (start, size, targetId, onEnter) => {
-			let p = start;
-			const end = start + size;
+	// Read StereoMode, Projection and Colour from the first video TrackEntry
+	static _mkvFromTracks(dv, tracks) {
+		const ID = this.EBML_ID;
+		for (const entry of this._ebmlElements(dv, tracks.start, tracks.end)) {
+			if (entry.id !== ID.TRACK_ENTRY) {
+				continue;
+			}
+			const video = this._ebmlElements(dv, entry.start, entry.end).find(el => el.id === ID.VIDEO);
+			if (!video) {
+				continue;
+			}
 
-			while (p < end && found === null) {
-				const id = readVint(p, true); if (!id) {
-					break;
-				} p += id.width;
-				const sz = readVint(p, false); if (!sz) {
-					break;
-				} p += sz.width;
-				if (id.value === targetId && found === null) {
-					onEnter(p, sz.value);
+			const result = {
+				layout: null, order: null, projection: null, coverage: null, pose: null, transfer: null, evidence: {},
+			};
+			for (const el of this._ebmlElements(dv, video.start, video.end)) {
+				if (el.id === ID.STEREO_MODE) {
+					const mode = this._ebmlUint(dv, el);
+					const stereo = this.MKV_STEREO_MODES[mode];
+					if (stereo) {
+						result.layout = stereo.layout;
+						result.order = stereo.order;
+						result.evidence.layout = result.evidence.order = `EBML StereoMode ${mode}`;
+					}
+				}
+				if (el.id === ID.PROJECTION) {
+					const projection = this._mkvProjection(dv, el);
+					result.projection = projection.projection;
+					result.coverage = projection.coverage ?? null;
+					result.pose = projection.pose;
+					result.evidence.projection = projection.evidence;
+					if (projection.pose) {
+						result.evidence.pose = `EBML ProjectionPose ${this._poseEvidence(projection.pose)}`;
+					}
+				}
+				if (el.id === ID.COLOUR) {
+					const colour = this._mkvColour(dv, el);
+					if (colour.transfer) {
+						result.transfer = colour.transfer;
+						result.evidence.transfer = colour.evidence;
+					}
 				}
-				p += sz.value;
 			}
-		};
+			return result;
+		}
+		return null;
+	}
+
+	// Read TransferCharacteristics and Primaries from a Colour element (MasteringMetadata implies HDR10)
+	static _mkvColour(dv, colour) {
+		const ID = this.EBML_ID;
+		let code = null;
+		let primaries = null;
+		let mastering = false;
+		for (const el of this._ebmlElements(dv, colour.start, colour.end)) {
+			if (el.id === ID.TRANSFER) {
+				code = this._ebmlUint(dv, el);
+			} else if (el.id === ID.PRIMARIES) {
+				primaries = this._ebmlUint(dv, el);
+			} else if (el.id === ID.MASTERING_METADATA) {
+				mastering = true;
+			}
+		}
 
-		// IDs we care about
-		const ID_TRACKS = 0x1654AE6B;
-		const ID_TRACK_ENTRY = 0xAE;
-		const ID_VIDEO = 0xE0;
-		const ID_PROJECTION_TYPE = 0x7671; // unsigned int
+		const fields = [];
+		if (primaries !== null) {
+			fields.push(`Primaries ${primaries}`);
+		}
+		if (code !== null) {
+			fields.push(`TransferCharacteristics ${code}`);
+		}
+		if (mastering) {
+			fields.push("MasteringMetadata");
+		}
+		const transfer = this.HDR_TRANSFERS[code] ?? (mastering ? "pq" : (code !== null ? "sdr" : null));
+		return { transfer, evidence: `EBML Colour ${fields.join(", ") || "(empty)"}` };
+	}
+
+	// Read ProjectionType, ProjectionPrivate bounds and pose from a Projection element
+	static _mkvProjection(dv, projection) {
+		const ID = this.EBML_ID;
+		let type = 0;
+		let priv = null;
+		let posed = false;
+		const angles = { yaw: 0, pitch: 0, roll: 0 };
 
-		// Scan top-level to find Tracks
-		while (offset < len && found === null) {
-			const id = readVint(offset, true); if (!id) {
+		for (const el of this._ebmlElements(dv, projection.start, projection.end)) {
+			if (el.id === ID.PROJECTION_TYPE) {
+				type = this._ebmlUint(dv, el);
+			} else if (el.id === ID.PROJECTION_PRIVATE) {
+				priv = el;
+			} else if (el.id === ID.POSE_YAW) {
+				angles.yaw = this._ebmlFloat(dv, el);
+				posed = true;
+			} else if (el.id === ID.POSE_PITCH) {
+				angles.pitch = this._ebmlFloat(dv, el);
+				posed = true;
+			} else if (el.id === ID.POSE_ROLL) {
+				angles.roll = this._ebmlFloat(dv, el);
+				posed = true;
+			}
+		}
+
+		// Pose elements are optional; report none rather than a level default
+		const pose = posed ? angles : null;
+
+		// Equirectangular (1) and cubemap (2) are classified
+		let evidence = `EBML ProjectionType ${type}`;
+		if (type === 2) {
+			return { projection: "cubemap", pose, evidence };
+		}
+		if (type !== 1) {
+			return { projection: null, pose, evidence };
+		}
+
+		// Equirectangular private data mirrors the MP4 `equi` box: version/flags then T/B/L/R bounds
+		if (!priv || priv.end - priv.start < 20) {
+			return { projection: "vr360", coverage: null, pose, evidence };
+		}
+		const bounds = this._equirectBounds(dv, priv.start);
+		const { projection: projectionValue, coverage } = this._equirectFromBounds(bounds);
+		evidence += `, ProjectionPrivate bounds ${this._boundsEvidence(bounds)}${this._coverageEvidence(coverage)}`;
+		return { projection: projectionValue, coverage, pose, evidence };
+	}
+
+	/**
+	 * Collect text subtitle blocks from Matroska/WebM through the Cues index, reading only the indexed blocks
+	 * rather than every Cluster. mkvmerge indexes each subtitle block (with CueRelativePosition); files whose
+	 * Cues don't point at subtitle blocks yield no cues.
+	 * @param {Blob} blob - Source file
+	 * @param {AbortSignal} [signal] - Aborts the read (e.g. when another file is opened)
+	 * @returns {Promise<{ id: string, label: string, isDefault: boolean, cues: Object[] }[]>} Tracks with raw cues
+	 */
+	static async _readMkvSubtitles(blob, signal) {
+		const ID = this.EBML_ID;
+		const header = await this._mkvElementAt(blob, 0);
+		const segment = header?.id === ID.EBML && header.size !== null
+			? await this._mkvElementAt(blob, header.start + header.size)
+			: null;
+		if (segment?.id !== ID.SEGMENT) {
+			return [];
+		}
+		const end = segment.size === null ? blob.size : Math.min(blob.size, segment.start + segment.size);
+
+		// Walk the top-level elements before the first Cluster (Cues are usually at the end, found by SeekHead)
+		let scale = 1000000; // Nanoseconds per timecode tick
+		let tracks = null;
+		let cuesAt = null;
+		for (let pos = segment.start; pos < end;) {
+			signal?.throwIfAborted();
+			const el = await this._mkvElementAt(blob, pos);
+			if (!el || el.size === null || el.id === ID.CLUSTER) {
 				break;
-			} offset += id.width;
-			const sz = readVint(offset, false); if (!sz) {
+			}
+			if (el.id === ID.CUES) {
+				cuesAt = pos;
+			} else if ([ID.INFO, ID.TRACKS, ID.SEEK_HEAD].includes(el.id) && el.size <= this.MKV_INDEX_MAX) {
+				const dv = new DataView(await blob.slice(el.start, el.start + el.size).arrayBuffer());
+				const children = this._ebmlElements(dv, 0, dv.byteLength);
+				if (el.id === ID.INFO) {
+					const timecodeScale = children.find(child => child.id === ID.TIMECODE_SCALE);
+					scale = timecodeScale ? this._ebmlUint(dv, timecodeScale) : scale;
+				} else if (el.id === ID.TRACKS) {
+					tracks = this._mkvSubtitleTracks(dv, children);
+				} else if (cuesAt === null) {
+					const position = this._mkvSeekPosition(dv, { start: 0, end: dv.byteLength }, ID.CUES);
+					cuesAt = position === null ? null : segment.start + position;
+				}
+			}
+			pos = el.start + el.size;
+		}
+		const cues = tracks?.size && cuesAt !== null ? await this._mkvElementAt(blob, cuesAt) : null;
+		if (cues?.id !== ID.CUES || cues.size === null || cues.size > this.MKV_INDEX_MAX) {
+			return [];
+		}
+
+		// Follow each subtitle CuePoint to its block: CueRelativePosition counts from the Cluster's data start
+		const dv = new DataView(await blob.slice(cues.start, cues.start + cues.size).arrayBuffer());
+		const clusterStarts = new Map();
+		const seconds = (ticks) => ticks * scale / 1e9;
+		for (const ref of this._mkvSubtitleCuePoints(dv, tracks)) {
+			signal?.throwIfAborted();
+			const clusterAt = segment.start + ref.cluster;
+			if (!clusterStarts.has(clusterAt)) {
+				const cluster = await this._mkvElementAt(blob, clusterAt);
+				clusterStarts.set(clusterAt, cluster?.id === ID.CLUSTER ? cluster.start : null);
+			}
+			const el = clusterStarts.get(clusterAt) === null
+				? null
+				: await this._mkvElementAt(blob, clusterStarts.get(clusterAt) + ref.relative);
+			if (!el || el.size === null || el.size > this.MKV_BLOCK_MAX) {
+				continue;
+			}
+			const blockView = new DataView(await blob.slice(el.start, el.start + el.size).arrayBuffer());
+			const block = this._mkvBlock(blockView, { id: el.id, start: 0, end: blockView.byteLength });
+			const track = block && tracks.get(block.number);
+			if (!track) {
+				continue;
+			}
+			const duration = block.duration ?? ref.duration;
+			const text = new TextDecoder().decode(block.payload);
+			const endTime = duration === null ? null : seconds(ref.time + duration);
+			track.cues.push(Subtitles.embeddedCue(seconds(ref.time), endTime, text, track.format));
+		}
+		return [...tracks.values()];
+	}
+
+	// CuePoints for subtitle tracks that locate their block: { time, cluster, relative, duration } in ticks/bytes
+	static _mkvSubtitleCuePoints(dv, tracks) {
+		const ID = this.EBML_ID;
+		const refs = [];
+		this._ebmlElements(dv, 0, dv.byteLength).filter(point => point.id === ID.CUE_POINT).forEach(point => {
+			const fields = this._ebmlElements(dv, point.start, point.end);
+			const time = fields.find(el => el.id === ID.CUE_TIME);
+			fields.filter(el => el.id === ID.CUE_TRACK_POSITIONS).forEach(positions => {
+				const children = this._ebmlElements(dv, positions.start, positions.end);
+				const uint = (id) => {
+					const el = children.find(child => child.id === id);
+					return el ? this._ebmlUint(dv, el) : null;
+				};
+				const [cluster, relative] = [uint(ID.CUE_CLUSTER_POSITION), uint(ID.CUE_RELATIVE_POSITION)];
+				if (time && tracks.has(uint(ID.CUE_TRACK)) && cluster !== null && relative !== null) {
+					refs.push({ time: this._ebmlUint(dv, time), cluster, relative, duration: uint(ID.CUE_DURATION) });
+				}
+			});
+		});
+		return refs;
+	}
+
+	// Read a SimpleBlock or BlockGroup: track number, 16-bit relative timecode, flags, then the frame
+	// (laced blocks aren't used for text; SimpleBlocks have no duration)
+	static _mkvBlock(dv, el) {
+		const ID = this.EBML_ID;
+		let block = (el.id === ID.SIMPLE_BLOCK) ? el : null;
+		let duration = null;
+		if (el.id === ID.BLOCK_GROUP) {
+			const group = this._ebmlElements(dv, el.start, el.end);
+			block = group.find(child => child.id === ID.BLOCK);
+			const blockDuration = group.find(child => child.id === ID.BLOCK_DURATION);
+			duration = blockDuration ? this._ebmlUint(dv, blockDuration) : null;
+		}
+		const number = block && this._ebmlVint(dv, block.start);
+		const headerEnd = number ? block.start + number.width + 3 : 0;
+		if (!number || headerEnd > Math.min(block.end, dv.byteLength) || (dv.getUint8(headerEnd - 1) & 0x06)) {
+			return null;
+		}
+		const length = Math.min(block.end, dv.byteLength) - headerEnd;
+		const payload = new Uint8Array(dv.buffer, dv.byteOffset + headerEnd, length);
+		return { number: number.value, duration, payload };
+	}
+
+	// Read an element header at a file position (size null when unknown)
+	static async _mkvElementAt(blob, pos) {
+		const dv = new DataView(await blob.slice(pos, pos + 12).arrayBuffer());
+		const id = this._ebmlVint(dv, 0, true);
+		const size = id && this._ebmlVint(dv, id.width, false);
+		if (!size) {
+			return null;
+		}
+		return { id: id.value, start: pos + id.width + size.width, size: size.unknown ? null : size.value };
+	}
+
+	// Text subtitle TrackEntries by track number, each with an empty cue list
+	static _mkvSubtitleTracks(dv, entries) {
+		const ID = this.EBML_ID;
+		const tracks = new Map();
+		entries.filter(entry => entry.id === ID.TRACK_ENTRY).forEach(entry => {
+			const fields = this._ebmlElements(dv, entry.start, entry.end);
+			const field = (id) => fields.find(el => el.id === id);
+			const text = (id) => (field(id) ? this._ebmlString(dv, field(id)) : null);
+			const format = this.MKV_SUBTITLE_CODECS[text(ID.CODEC_ID)];
+			const number = field(ID.TRACK_NUMBER) ? this._ebmlUint(dv, field(ID.TRACK_NUMBER)) : null;
+			if (!format || number === null) {
+				return;
+			}
+			tracks.set(number, {
+				id:        `mkv-${number}`,
+				label:     this._subtitleLabel(number, text(ID.NAME), text(ID.LANGUAGE) ?? "eng"),
+				isDefault: !field(ID.FLAG_DEFAULT) || this._ebmlUint(dv, field(ID.FLAG_DEFAULT)) === 1,
+				format,
+				cues:      [],
+			});
+		});
+		return tracks;
+	}
+
+	// Add a Cluster's subtitle blocks to their tracks (SimpleBlocks have no duration, so their end is null)
+	static _mkvSubtitleBlocks(dv, children, tracks, scale) {
+		const ID = this.EBML_ID;
+		const timecode = children.find(el => el.id === ID.TIMECODE);
+		const clusterTime = timecode ? this._ebmlUint(dv, timecode) : 0;
+		const seconds = (ticks) => ticks * scale / 1e9;
+
+		children.forEach(el => {
+			let block = (el.id === ID.SIMPLE_BLOCK) ? el : null;
+			let duration = null;
+			if (el.id === ID.BLOCK_GROUP) {
+				const group = this._ebmlElements(dv, el.start, el.end);
+				block = group.find(child => child.id === ID.BLOCK);
+				const blockDuration = group.find(child => child.id === ID.BLOCK_DURATION);
+				duration = blockDuration ? this._ebmlUint(dv, blockDuration) : null;
+			}
+
+			// Block header: track number, 16-bit relative timecode, flags (laced blocks aren't used for text)
+			const number = block && this._ebmlVint(dv, block.start);
+			const track = number && tracks.get(number.value);
+			const flags = track ? dv.getUint8(block.start + number.width + 2) : 0;
+			if (!track || (flags & 0x06)) {
+				return;
+			}
+			const ticks = clusterTime + dv.getInt16(block.start + number.width);
+			const payload = new Uint8Array(dv.buffer, dv.byteOffset + block.start + number.width + 3,
+				block.end - block.start - number.width - 3);
+			const start = seconds(ticks);
+			const end = duration === null ? null : seconds(ticks + duration);
+			track.cues.push(Subtitles.embeddedCue(start, end, new TextDecoder().decode(payload), track.format));
+		});
+	}
+
+	// Read an EBML string element (ASCII or UTF-8, trailing NULs trimmed)
+	static _ebmlString(dv, el) {
+		const bytes = new Uint8Array(dv.buffer, dv.byteOffset + el.start, Math.min(el.end, dv.byteLength) - el.start);
+		return new TextDecoder().decode(bytes).replace(/\0+$/, "");
+	}
+
+	/**
+	 * Read an EBML variable-length integer.
+	 * @param {DataView} dv - Buffer view
+	 * @param {number} pos - Byte offset
+	 * @param {boolean} [forId=false] - Keep the length marker (element IDs)
+	 * @returns {{ value: number, width: number, unknown: boolean }|null} Decoded vint
+	 */
+	static _ebmlVint(dv, pos, forId = false) {
+		if (pos >= dv.byteLength) {
+			return null;
+		}
+		const first = dv.getUint8(pos);
+		let mask = 0x80;
+		let width = 1;
+		while (width <= 8 && (first & mask) === 0) {
+			mask >>= 1;
+			width++;
+		}
+		if (width > 8 || pos + width > dv.byteLength) {
+			return null;
+		}
+
+		// Multiply rather than shift: sizes can exceed 32 bits
+		let value = forId ? first : (first & (~mask));
+		let allOnes = value === (mask - 1);
+		for (let i = 1; i < width; i++) {
+			const byte = dv.getUint8(pos + i);
+			value = value * 256 + byte;
+			allOnes = allOnes && byte === 0xFF;
+		}
+		return { value, width, unknown: !forId && allOnes };
+	}
+
+	/**
+	 * List child elements within a byte range of an EBML buffer.
+	 * Elements of unknown size extend to the end of the range.
+	 * @param {DataView} dv - Buffer view
+	 * @param {number} start - First byte of the first child
+	 * @param {number} end - Byte after the last child
+	 * @returns {{ id: number, start: number, end: number }[]} Elements with data start and end
+	 */
+	static _ebmlElements(dv, start, end) {
+		const elements = [];
+		const limit = Math.min(end, dv.byteLength);
+		let p = start;
+		while (p < limit) {
+			const id = this._ebmlVint(dv, p, true);
+			if (!id) {
+				break;
+			}
+			const size = this._ebmlVint(dv, p + id.width, false);
+			if (!size) {
 				break;
-			} offset += sz.width;
-			if (id.value === ID_TRACKS) {
-				// Within Tracks: iterate TrackEntry
-				seekWithin(offset, sz.value, ID_TRACK_ENTRY, (teStart, teSize) => {
-					// Within TrackEntry: find Video
-					seekWithin(teStart, teSize, ID_VIDEO, (vidStart, vidSize) => {
-						// Within Video: look for ProjectionType
-						let p = vidStart;
-						const end = vidStart + vidSize;
-						while (p < end && found === null) {
-							const id2 = readVint(p, true); if (!id2) {
-								break;
-							} p += id2.width;
-							const sz2 = readVint(p, false); if (!sz2) {
-								break;
-							} p += sz2.width;
-							if (id2.value === ID_PROJECTION_TYPE) {
-								// Read unsigned int value
-								let val = 0;
-								for (let i = 0; i < sz2.value; i++) {
-									val = (val << 8) | dv.getUint8(p + i);
-								}
-								found = val;
-							}
-							p += sz2.value;
-						}
-					});
-				});
 			}
-			// advance
-			offset += sz.value;
+			const dataStart = p + id.width + size.width;
+			const dataEnd = size.unknown ? end : dataStart + size.value;
+			elements.push({ id: id.value, start: dataStart, end: dataEnd });
+			if (size.unknown) {
+				break;
+			}
+			p = dataEnd;
 		}
+		return elements;
+	}
 
-		return found;
+	// Read an EBML unsigned integer element
+	static _ebmlUint(dv, el) {
+		let value = 0;
+		for (let p = el.start; p < el.end && p < dv.byteLength; p++) {
+			value = value * 256 + dv.getUint8(p);
+		}
+		return value;
+	}
+
+	// Read an EBML float element (4 or 8 bytes)
+	static _ebmlFloat(dv, el) {
+		const size = el.end - el.start;
+		if (el.end > dv.byteLength) {
+			return 0;
+		}
+		if (size === 4) {
+			return dv.getFloat32(el.start);
+		}
+		if (size === 8) {
+			return dv.getFloat64(el.start);
+		}
+		return 0;
 	}
 }
@@ -1,19 +1,31 @@
 export const Icons = {
 	open: { icon: "fa-solid fa-folder-open", title: "Open Video (o)" },
+	inspector: { icon: "fa-solid fa-circle-info", title: "Detection Report (i)" },
+	settings: { icon: "fa-solid fa-sliders", title: "Settings (g)" },
+	queue: { icon: "fa-solid fa-list", title: "Queue (q)" },
 	view: {
-		watch:    { icon: "fa-solid fa-eye",   title: "Mono Mode (m)" },
-		original: { icon: "fa-solid fa-film",    title: "Source Mode (m)" },
-		anaglyph: { icon: "fa-solid fa-glasses", title: "Anaglyph Mode (m)" },
+		watch:      { icon: "fa-solid fa-eye",   title: "Mono Mode (m)" },
+		original:   { icon: "fa-solid fa-film",    title: "Source Mode (m)" },
+		anaglyph:   { icon: "fa-solid fa-glasses", title: "Anaglyph Mode (m)" },
+		crossview:  { icon: "fa-solid fa-xmark",   title: "Cross-Eyed Mode (m)" },
+		parallel:   { icon: "fa-solid fa-grip-lines-vertical", title: "Parallel Mode (m)" },
+		interlaced: { icon: "fa-solid fa-bars",    title: "Interlaced Mode (m)" },
+		wiggle:     { icon: "fa-solid fa-arrows-left-right", title: "Wiggle Mode (m)" },
 	},
 	projection: {
-		flat:  { icon: "fa-solid fa-table-cells",        title: "Flat Projection (p)" },
-		vr180: { icon: "fa-solid fa-circle-half-stroke", title: "180º Projection (p)" },
-		vr360: { icon: "fa-solid fa-circle",             title: "360º Projection (p)" },
+		flat:    { icon: "fa-solid fa-table-cells",        title: "Flat Projection (p)" },
+		vr180:   { icon: "fa-solid fa-circle-half-stroke", title: "180º Projection (p)" },
+		vr360:   { icon: "fa-solid fa-circle",             title: "360º Projection (p)" },
+		custom:  { icon: "fa-solid fa-crop-simple",        title: "Custom FOV Projection (p)" },
+		fisheye: { icon: "fa-solid fa-circle-dot",         title: "Fisheye Projection (p)" },
+		cubemap: { icon: "fa-solid fa-cube",               title: "Cubemap Projection (p)" },
+		eac:     { icon: "fa-solid fa-cubes",              title: "Equi-Angular Cubemap Projection (p)" },
 	},
 	layout: {
 		sbs: { icon: "fa-solid fa-pause rotate-0",  title: "Side-by-Side Layout (l)" },
 		ou:  { icon: "fa-solid fa-pause rotate-90", title: "Over-Under Layout (l)" },
 	},
+	swap: { icon: "fa-solid fa-right-left", title: "Swap Eyes (x)" },
 	eye: {
 		left:  { icon: "fa-regular fa-eye fa-flip-horizontal", title: "Left Eye (e)" },
 		right: { icon: "fa-regular fa-eye", title: "Right Eye (e)" },
@@ -30,13 +42,17 @@ export const Icons = {
 		pause: { icon: "fa-solid fa-play",  title: "Play (space)" },
 	},
 	volume: {
-		full: { icon: "fa-solid fa-volume-high",  title: "Full Volume (v)" },
-		off:  { icon: "fa-solid fa-volume-xmark", title: "Volume Off (v)" },
+		full: { icon: "fa-solid fa-volume-high",  title: "Mute (v)" },
+		low:  { icon: "fa-solid fa-volume-low",   title: "Mute (v)" },
+		off:  { icon: "fa-solid fa-volume-xmark", title: "Unmute (v)" },
 	},
 	repeat: {
-		false: { icon: "fa-solid fa-repeat slash", title: "No Repeat (r)" },
-		true:  { icon: "fa-solid fa-repeat",       title: "Repeat (r)" },
+		off: { icon: "fa-solid fa-repeat slash", title: "No Repeat (r)" },
+		one: { icon: "fa-solid fa-rotate-right", title: "Repeat Video (r)" },
+		all: { icon: "fa-solid fa-repeat",       title: "Repeat Queue (r)" },
 	},
+	previous: { icon: "fa-solid fa-backward-step", title: "Previous Video (shift+p)" },
+	next:     { icon: "fa-solid fa-forward-step",  title: "Next Video (shift+n)" },
 	fullscreen: {
 		enter: { icon: "fa-solid fa-expand",   title: "Enter Fullscreen (f)" },
 		exit:  { icon: "fa-solid fa-compress", title: "Exit Fullscreen (f)" },
@@ -0,0 +1,141 @@
+import { Store } from "./Store.js";
+
+// Constants
+const inspector = document.querySelector(".inspector");
+
+// Describe a sphere orientation in degrees
+const formatPose = ({ yaw, pitch, roll }) =>
+	`yaw ${+yaw.toFixed(1)}º, pitch ${+pitch.toFixed(1)}º, roll ${+roll.toFixed(1)}º`;
+
+// Detected settings shown in the report (`format` turns object values into text)
+const rows = [
+	{ key: "layout",     label: "Layout" },
+	{ key: "resolution", label: "Resolution" },
+	{ key: "projection", label: "Projection" },
+	{ key: "eyeOrder",   label: "Eye Order" },
+	{
+		key:     "pose",
+		label:   "Horizon",
+		current: s => formatPose({ yaw: s.levelYaw, pitch: s.levelPitch, roll: s.levelRoll }),
+		format:  formatPose,
+	},
+	{ key: "transfer",   label: "HDR Transfer" },
+];
+const rowKeys = rows.map(({ key }) => key);
+
+// Show/hide panel
+Store.subscribe("inspector", (s) => {
+	inspector.classList.toggle("hidden", !s.inspector);
+});
+
+// Panel heading
+const heading = document.createElement("p");
+heading.className = "inspector-title";
+heading.textContent = "Detection Report";
+inspector.appendChild(heading);
+
+// Report body (rebuilt on each update)
+const body = document.createElement("div");
+body.className = "inspector-body";
+inspector.appendChild(body);
+
+// Create a span with class and text
+const span = (className, text) => {
+	const el = document.createElement("span");
+	el.className = className;
+	el.textContent = text;
+	return el;
+};
+
+// Build one row per detected setting
+const render = (s) => {
+	body.replaceChildren();
+
+	if (!s.detection) {
+		body.appendChild(span("inspector-empty", "Open a video to see what was detected."));
+		body.appendChild(button("Edit filename rules", () => Store.toggle("rulesEditor")));
+		return;
+	}
+
+	rows.forEach(({ key, label, current, format }) => {
+		const result = s.detection[key];
+		if (!result) {
+			return;
+		}
+		const detected = format ? format(result.value) : result.value;
+
+		const row = document.createElement("div");
+		row.className = "inspector-row";
+
+		// Label, detected value and winning method
+		const summary = document.createElement("div");
+		summary.className = "inspector-summary";
+		summary.appendChild(span("inspector-label", label));
+		summary.appendChild(span("inspector-value", detected));
+		summary.appendChild(span(`inspector-method inspector-method-${result.method}`, result.method));
+		if (typeof result.confidence === "number") {
+			summary.appendChild(span("inspector-confidence", `${Math.round(result.confidence * 100)}%`));
+		}
+		row.appendChild(summary);
+
+		// Evidence behind the result
+		if (result.evidence) {
+			row.appendChild(span("inspector-evidence", result.evidence));
+		}
+
+		// Flag manual changes since detection
+		const value = current ? current(s) : s[key];
+		if (value !== detected) {
+			row.appendChild(span("inspector-override", `Changed to ${value}`));
+		}
+
+		body.appendChild(row);
+	});
+
+	renderOverrides(s);
+};
+
+// Create a button with a click handler
+const button = (text, onClick) => {
+	const el = document.createElement("button");
+	el.className = "inspector-button";
+	el.textContent = text;
+	el.addEventListener("click", onClick);
+	return el;
+};
+
+// List per-file overrides with buttons to forget them
+const renderOverrides = (s) => {
+	const entry = s.overrides[s.fingerprint];
+	const fileCount = Object.keys(s.overrides).length;
+
+	const section = document.createElement("div");
+	section.className = "inspector-row";
+	section.appendChild(span("inspector-label", "Remembered for this file"));
+
+	if (entry) {
+		const summary = Object.entries(entry).map(([key, value]) => `${key}: ${value}`).join(", ");
+		section.appendChild(span("inspector-evidence", summary));
+	} else {
+		section.appendChild(span("inspector-evidence", "Nothing — change a setting to remember it."));
+	}
+
+	const actions = document.createElement("div");
+	actions.className = "inspector-actions";
+	if (entry) {
+		actions.appendChild(button("Forget", () => s.pipeline?.forgetOverrides()));
+	}
+	if (fileCount) {
+		actions.appendChild(button(`Forget all files (${fileCount})`, () => s.pipeline?.forgetOverrides(true)));
+	}
+	section.appendChild(actions);
+
+	body.appendChild(section);
+	body.appendChild(button("Edit filename rules", () => Store.toggle("rulesEditor")));
+};
+
+// Refresh on new detections, setting changes and remembered overrides
+Store.subscribe(
+	["detection", "fingerprint", "overrides", ...rowKeys, "levelYaw", "levelPitch", "levelRoll"],
+	render,
+);
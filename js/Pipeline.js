@@ -2,6 +2,28 @@ import { Store } from "./Store.js";
 import { Utils } from "./Utils.js";
 import { Detector } from "./Detector.js";
 import { Render } from "./Render.js";
+import { Subtitles } from "./Subtitles.js";
+
+// Custom equirectangular coverage settings
+const COVERAGE_KEYS = ["customHFov", "customVFov", "customYaw", "customPitch"];
+
+// Eye alignment correction, reset for every file unless remembered
+const ALIGN_DEFAULTS = { alignX: 0, alignY: 0, alignRotation: 0, alignScale: 0 };
+
+// Neutral image adjustments, before any saved defaults
+const ADJUST_DEFAULTS = { brightness: 0, contrast: 1, gamma: 1, saturation: 1, hue: 0, sharpen: 0 };
+
+// Horizon leveling (sphere yaw/pitch/roll), detected from spherical metadata pose
+const LEVEL_KEYS = ["levelYaw", "levelPitch", "levelRoll"];
+
+// Settings remembered per file when changed from their detected value
+const OVERRIDE_KEYS = [
+	"layout", "resolution", "projection", "eye", "eyeOrder", "transfer",
+	...COVERAGE_KEYS, ...LEVEL_KEYS, ...Object.keys(ALIGN_DEFAULTS), ...Object.keys(ADJUST_DEFAULTS),
+];
+
+// Most files with remembered settings; the least recently opened or changed are forgotten first
+const OVERRIDES_LIMIT = 200;
 
 // Orchestrates the rendering pipeline and control flow
 export class Pipeline {
@@ -9,6 +31,15 @@ export class Pipeline {
 	// Three.js wrapper
 	render;
 
+	// Values applied on load before per-file overrides
+	baseline = null;
+
+	// Cues of each subtitle track offered for the current video, by track id
+	subtitleCues = new Map();
+
+	// Cancels reading the previous file's embedded subtitles
+	subtitleAbort = null;
+
 	/** Initialize renderer and subscriptions */
 	constructor() {
 		const s = Store.get();
@@ -23,12 +54,28 @@ export class Pipeline {
 
 		// Core state changes
 		Store.subscribe("url", (s) => this.setVideoSource(s));
-		Store.subscribe("playback", (s) => (s.playback ? this.render.start() : this.render.stop()));
+		Store.subscribe(["playback", "view"], (s) => this.updateLoop(s));
 		Store.subscribe("layout", (s) => this.render.setLayout(s));
 		Store.subscribe("resolution", (s) => this.render.setResolution(s));
 		Store.subscribe("projection", (s) => this.render.setProjection(s));
+		Store.subscribe(["fisheyeFov", ...COVERAGE_KEYS], (s) => this.render.setCoverage(s));
+		Store.subscribe(LEVEL_KEYS, (s) => this.render.setLevel(s));
+		Store.subscribe("lens", (s) => this.render.setLens(s));
 		Store.subscribe("view", (s) => this.render.setView(s));
-		Store.subscribe("eye", (s) => this.render.setEye(s));
+		Store.subscribe(["eye", "eyeOrder", "glassesReversed"], (s) => this.render.setEye(s));
+		Store.subscribe(
+			[
+				"interlace", "interlaceFlip", "anaglyph", "wiggleRate", "wiggleFade", "wiggleOffset",
+				...Object.keys(ALIGN_DEFAULTS), ...Object.keys(ADJUST_DEFAULTS),
+				"upscale", "upscaleQuality", "transfer", "toneMapping", "exposure",
+				"subtitles", "subtitleSize", "subtitleDepth",
+			],
+			(s) => this.render.setOutputOptions(s),
+		);
+		Store.subscribe(OVERRIDE_KEYS, (s) => this.rememberOverrides(s));
+		Store.subscribe("subtitleTrack", (s) => {
+			this.render.setSubtitles(this.subtitleCues.get(s.subtitleTrack) ?? null);
+		});
 
 		// Video lifecycle
 		const video = Store.get("video");
@@ -36,10 +83,37 @@ export class Pipeline {
 
 			// Run detection once metadata (dimensions) is available
 			const results = await Detector.detect();
-			Store.set({
+			const { file, name, overrides } = Store.get();
+
+			// Without a fingerprint (file unreadable) overrides are neither applied nor saved
+			let fingerprint = null;
+			try {
+				fingerprint = await Detector.fingerprint(file, name);
+			} catch (error) {
+				console.error(error);
+			}
+
+			this.baseline = {
 				layout:     results.layout.value,
 				resolution: results.resolution.value,
 				projection: results.projection.value,
+				eye:        "left", // Not detected: files start on the left eye unless one is remembered
+				eyeOrder:   results.eyeOrder.value,
+				transfer:   results.transfer.value,
+				...this.coverageBaseline(results.projection.coverage),
+				levelYaw:   results.pose.value.yaw,
+				levelPitch: results.pose.value.pitch,
+				levelRoll:  results.pose.value.roll,
+				...ALIGN_DEFAULTS,
+				...this.adjustBaseline(),
+			};
+
+			// Remembered per-file overrides win over detection
+			Store.set({
+				detection: results,
+				fingerprint,
+				...this.baseline,
+				...(overrides[fingerprint] ?? {}),
 			});
 
 			// Start playback and render
@@ -47,6 +121,9 @@ export class Pipeline {
 			Store.set({ playback: true });
 			this.render.resize(Store.get());
 			this.getFps();
+
+			// Check frame content once playing (it seeks a second copy of the video)
+			this.refineDetection(results);
 		});
 		video.addEventListener("seeked", () => this.render.resize(Store.get()));
 
@@ -57,12 +134,24 @@ export class Pipeline {
 		document.addEventListener("visibilitychange", () => {
 			if (document.hidden) {
 				this.render.stop();
-			} else if (Store.get("playback")) {
-				this.render.start();
+			} else {
+				this.updateLoop(Store.get());
 			}
 		});
 	}
 
+	// Run the render loop while playing, and while wiggling a paused frame
+	// (paused interlacing only redraws when the window moves, to keep rows on the right eyes)
+	updateLoop(s) {
+		if (s.playback || s.view === "wiggle") {
+			this.render.start();
+		} else if (s.view === "interlaced") {
+			this.render.start(true);
+		} else {
+			this.render.stop();
+		}
+	}
+
 	// Attach video source to renderer when URL changes
 	setVideoSource(state) {
 		const { url, video } = state;
@@ -71,6 +160,190 @@ export class Pipeline {
 		}
 		this.render.setVideo(video);
 		this.render.resize(Store.get());
+		this.findSubtitles(state).catch(error => {
+			if (error.name !== "AbortError") {
+				console.error(error);
+			}
+		});
+	}
+
+	// Load subtitles queued with the video, or (desktop app) sibling files with a matching name,
+	// then text tracks embedded in the file
+	async findSubtitles(s) {
+		this.subtitleAbort?.abort();
+		const abort = new AbortController();
+		this.subtitleAbort = abort;
+		this.clearSubtitles();
+		const queued = s.queueEntries[s.queueIndex]?.subtitle;
+		if (queued) {
+			await this.loadSubtitles(queued);
+		} else {
+			const found = await window.electronAPI?.findSubtitles?.(s.file?.path);
+			if (Store.get("url") === s.url) {
+				found?.forEach(({ name, text }) => this.setSubtitles(name, text));
+			}
+		}
+
+		// Embedded tracks are read in the background; the flagged default is shown if nothing else is
+		const embedded = await Detector.readSubtitleTracks(s, abort.signal);
+		if (Store.get("url") === s.url) {
+			embedded
+				.sort((a, b) => b.isDefault - a.isDefault)
+				.forEach(({ id, label, cues }) => this.addSubtitleTrack(id, label, cues, false));
+		}
+	}
+
+	// Read a subtitle file for the current video; returns false when it has no cues
+	async loadSubtitles(file) {
+		const url = Store.get("url");
+		const text = await file.text();
+		return Store.get("url") === url && this.setSubtitles(file.name, text);
+	}
+
+	// Parse subtitle text and show it over the video
+	setSubtitles(name, text) {
+		const cues = Subtitles.parse(text, name);
+		if (!cues.length) {
+			return false;
+		}
+		this.addSubtitleTrack(`file:${name}`, name, cues, true);
+		return true;
+	}
+
+	// Offer a subtitle track, showing it when asked to or when no other track is shown
+	addSubtitleTrack(id, label, cues, show) {
+		const { subtitleTracks, subtitleTrack } = Store.get();
+		this.subtitleCues.set(id, cues);
+		Store.set({
+			subtitleTracks: [...subtitleTracks.filter(track => track.id !== id), { id, label }],
+			subtitleTrack:  (show || subtitleTrack === null) ? id : subtitleTrack,
+		});
+
+		// A file dropped again replaces the cues of the track already shown
+		if (Store.get("subtitleTrack") === id) {
+			this.render.setSubtitles(cues);
+		}
+	}
+
+	// Remove the current subtitles
+	clearSubtitles() {
+		this.subtitleCues.clear();
+		Store.set({ subtitleTracks: [], subtitleTrack: null });
+	}
+
+	// Apply a frame-content layout verdict, keeping values the user or an override already changed
+	async refineDetection(detection) {
+		const { url } = Store.get();
+		const refined = await Detector.refineLayout(Store.get(), detection);
+		const s = Store.get();
+		if (!refined || s.url !== url || !this.baseline) {
+			return;
+		}
+		const changes = {};
+		["layout", "resolution"].forEach(key => {
+			if (s[key] === this.baseline[key]) {
+				changes[key] = refined[key].value;
+			}
+			this.baseline[key] = refined[key].value;
+		});
+		Store.set({ detection: { ...s.detection, ...refined }, ...changes });
+	}
+
+	// Custom coverage from detection, or the current values when none was found
+	coverageBaseline(coverage) {
+		const s = Store.get();
+		return {
+			customHFov:  coverage?.hFov ?? s.customHFov,
+			customVFov:  coverage?.vFov ?? s.customVFov,
+			customYaw:   coverage?.yaw ?? s.customYaw,
+			customPitch: coverage?.pitch ?? s.customPitch,
+		};
+	}
+
+	// Restore the detected horizon leveling for the current file
+	resetLevel() {
+		const { pose } = Store.get("detection") ?? {};
+		Store.set({
+			levelYaw:   pose?.value.yaw ?? 0,
+			levelPitch: pose?.value.pitch ?? 0,
+			levelRoll:  pose?.value.roll ?? 0,
+		});
+	}
+
+	// Image adjustments saved for all files, over neutral values
+	adjustBaseline() {
+		return { ...ADJUST_DEFAULTS, ...Store.get("adjustDefaults") };
+	}
+
+	// Save the current image adjustments for all files; returns a status message
+	saveAdjustDefaults() {
+		const s = Store.get();
+		const adjustDefaults = {};
+		Object.keys(ADJUST_DEFAULTS).forEach(key => {
+			adjustDefaults[key] = s[key];
+		});
+		Store.set({ adjustDefaults });
+
+		// The current file now matches the defaults rather than overriding them
+		if (this.baseline) {
+			Object.assign(this.baseline, adjustDefaults);
+			this.rememberOverrides(Store.get());
+		}
+		return "Saved for all files";
+	}
+
+	// Return image adjustments to neutral for the current file
+	resetAdjustments() {
+		Store.set(ADJUST_DEFAULTS);
+	}
+
+	// Estimate vertical alignment between the eyes on the paused frame; returns a status message
+	autoAlign() {
+		Store.set({ playback: false });
+		const result = Detector.estimateAlignment(Store.get());
+		if (!result) {
+			return "Not enough matching detail";
+		}
+		Store.set({ alignY: result.alignY, alignRotation: result.alignRotation });
+		return `Matched ${result.matches} points`;
+	}
+
+	// Clear eye alignment for the current file
+	resetAlignment() {
+		Store.set(ALIGN_DEFAULTS);
+	}
+
+	// Record settings that differ from the load baseline against the current file
+	rememberOverrides(s) {
+		if (!s.fingerprint || !this.baseline) {
+			return;
+		}
+		const entry = {};
+		OVERRIDE_KEYS.forEach(key => {
+			if (s[key] !== this.baseline[key]) {
+				entry[key] = s[key];
+			}
+		});
+
+		// Re-add so the most recently used files come last, then drop the oldest
+		const overrides = { ...s.overrides };
+		delete overrides[s.fingerprint];
+		if (Object.keys(entry).length) {
+			overrides[s.fingerprint] = entry;
+			const keys = Object.keys(overrides);
+			keys.slice(0, Math.max(0, keys.length - OVERRIDES_LIMIT)).forEach(key => delete overrides[key]);
+		}
+		if (JSON.stringify(overrides) !== JSON.stringify(s.overrides)) {
+			Store.set({ overrides });
+		}
+	}
+
+	// Forget overrides for the current file (or every file) and restore detected values
+	forgetOverrides(all = false) {
+		const { fingerprint, overrides } = Store.get();
+		const remaining = all ? {} : { ...overrides };
+		delete remaining[fingerprint];
+		Store.set({ overrides: remaining, ...(this.baseline ?? {}) });
 	}
 
 	// Determines video's FPS (async hence not in Detector)
@@ -90,16 +363,23 @@ export class Pipeline {
 
 		const tick = (_, meta) => {
 			const time = (meta?.mediaTime ?? video.currentTime) || 0;
-			if (previous !== null) {
+
+			// Times are media seconds, so slower speeds still give one-frame deltas,
+			// but above 1x the display can skip frames (sampling waits until back at 1x or slower)
+			const sampling = video.playbackRate <= 1;
+			if (sampling && previous !== null) {
 				const d = time - previous; if (d > 0) {
 					deltas.push(d);
 				}
 			}
-			previous = time;
+			previous = sampling ? time : null;
 
 			if (deltas.length < samples && !video.ended) {
 				return video.requestVideoFrameCallback(tick);
 			}
+			if (deltas.length < 2) {
+				return;
+			}
 
 			deltas.sort((a,b) => a - b);
 			const mid = deltas.length >> 1;
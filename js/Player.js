@@ -3,6 +3,13 @@ import { Store } from "./Store.js";
 // Manages video playback and state management
 export class Player {
 
+	// Resume positions: skip the opening seconds, save every few seconds, treat the end as finished,
+	// and keep only the most recently watched files
+	resumeMinimum  = 10;
+	resumeInterval = 5;
+	resumeFinished = 0.95;
+	resumeLimit    = 200;
+
 	// Create Player instance
 	constructor() {
 		this.playerEvents();
@@ -42,12 +49,28 @@ export class Player {
 			}
 		});
 
-		// Update playback state when video ends
+		// Continue through the queue, or update playback state when video ends
 		// (Not triggered when loop===true)
 		video.onended = () => {
-			Store.set({ playback: false });
+			if (!Store.get("playlist")?.advance()) {
+				Store.set({ playback: false });
+			}
 		};
 
+		// List audio tracks where the browser exposes them (the list empties and refills per file)
+		const { audioTracks } = video;
+		if (audioTracks) {
+			const updateTracks = () => {
+				const tracks = Array.from(audioTracks).map((track, i) => ({
+					id:    track.id,
+					label: track.label || track.language || `Track ${i + 1}`,
+				}));
+				const enabled = Array.from(audioTracks).find(track => track.enabled);
+				Store.set({ audioTracks: tracks, audioTrack: enabled?.id ?? null });
+			};
+			["addtrack", "removetrack", "change"].forEach(event => audioTracks.addEventListener(event, updateTracks));
+		}
+
 		// Log errors and stop playback
 		video.onerror = () => {
 			console.error("Video error:", video.error);
@@ -77,15 +100,41 @@ export class Player {
 			}
 		});
 
-		// Toggle volume
+		// Volume level and mute
 		Store.subscribe("volume", s => {
 			s.video.volume = s.volume;
 		});
+		Store.subscribe("muted", s => {
+			s.video.muted = s.muted;
+		});
+
+		// Enable only the chosen audio track
+		Store.subscribe("audioTrack", s => {
+			Array.from(s.video.audioTracks ?? []).forEach(track => {
+				track.enabled = track.id === s.audioTrack;
+			});
+		});
+
+		// Playback speed (the default carries it across files, which reset the rate on load)
+		Store.subscribe("speed", s => {
+			s.video.defaultPlaybackRate = s.speed;
+			s.video.playbackRate = s.speed;
+		});
+		Store.subscribe("preservePitch", s => {
+			s.video.preservesPitch = s.preservePitch;
+		});
 
-		// Toggle repeat
+		// Repeat one loops the video itself; repeat all is handled by the queue
 		Store.subscribe("repeat", s => {
-			s.video.loop = s.repeat;
+			s.video.loop = s.repeat === "one";
+		});
+
+		// Offer to resume a file reopened part way through
+		Store.subscribe("fingerprint", s => {
+			const position = s.resume && s.fingerprint ? s.positions[s.fingerprint] : null;
+			Store.set({ resumeOffer: position ?? null });
 		});
+		Store.subscribe("time", s => this.recordPosition(s));
 
 		// Seek video (only when time changes significantly to prevent feedback loops)
 		Store.subscribe("time", s => {
@@ -99,4 +148,47 @@ export class Player {
 		});
 
 	}
+
+	// Save the current file's position, or forget it once nearly finished
+	recordPosition(s) {
+		// Store time rather than the element's, which lags behind a seek just requested (e.g. by resume())
+		const { time } = s;
+		const { duration } = s.video;
+		if (!s.resume || !s.fingerprint || !duration) {
+			return;
+		}
+		const positions = { ...s.positions };
+		const saved = positions[s.fingerprint];
+		if (time < this.resumeMinimum || time >= duration * this.resumeFinished) {
+			// Back at the start (once any resume offer is gone) or finished: forget the saved spot
+			if (saved === undefined || s.resumeOffer !== null) {
+				return;
+			}
+			delete positions[s.fingerprint];
+		} else if (saved === undefined || Math.abs(time - saved) >= this.resumeInterval) {
+			// Re-add so the most recently watched files come last, then drop the oldest
+			delete positions[s.fingerprint];
+			positions[s.fingerprint] = Math.floor(time);
+			const keys = Object.keys(positions);
+			keys.slice(0, Math.max(0, keys.length - this.resumeLimit)).forEach(key => delete positions[key]);
+		} else {
+			return;
+		}
+		Store.set({ positions });
+	}
+
+	// Jump to the offered resume position
+	resume() {
+		const { resumeOffer } = Store.get();
+		if (resumeOffer !== null) {
+			Store.set({ time: resumeOffer, resumeOffer: null });
+		}
+	}
+
+	// Forget every saved position; returns a status message
+	clearPositions() {
+		const count = Object.keys(Store.get("positions")).length;
+		Store.set({ positions: {}, resumeOffer: null });
+		return `Cleared ${count} ${count === 1 ? "position" : "positions"}`;
+	}
 }
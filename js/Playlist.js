@@ -0,0 +1,208 @@
+import { Store } from "./Store.js";
+import { Subtitles } from "./Subtitles.js";
+
+// File types offered by the open dialog and accepted from drops and folders
+const VIDEO_EXTENSIONS = [".mp4", ".webm", ".mkv", ".mov", ".avi"];
+
+// Give up on a file whose metadata hasn't loaded after this long
+const PROBE_TIMEOUT_MS = 10000;
+
+// Manages the queue of opened videos and moving between them
+export class Playlist {
+
+	// Object URL of the entry currently loaded
+	url = null;
+
+	// Create Playlist instance
+	constructor() {
+		this.storeSubscriptions();
+	}
+
+	// Setup store subscriptions
+	storeSubscriptions() {
+
+		// Keep each entry's detected settings for the queue panel (detection runs per file on load)
+		Store.subscribe(["detection", "fingerprint"], s => {
+			const entry = s.queueEntries[s.queueIndex];
+			if (!s.detection || !s.fingerprint || !entry || entry.file !== s.file) {
+				return;
+			}
+			const detected = {
+				layout:     s.detection.layout.value,
+				resolution: s.detection.resolution.value,
+				projection: s.detection.projection.value,
+			};
+			this.update(s.queueIndex, { detected });
+		});
+	}
+
+	// Check a file looks like a video before queueing it
+	static isVideoFile(file) {
+		const name = file.name.toLowerCase();
+		return file.type.startsWith("video/") || VIDEO_EXTENSIONS.some(ext => name.endsWith(ext));
+	}
+
+	// Check a file decodes as a video (resolves false for audio-only, broken and stalled files)
+	static isValidVideo(file) {
+		return new Promise(res => {
+			const url = URL.createObjectURL(file);
+			const video = document.createElement("video");
+			const done = (valid) => {
+				clearTimeout(timer);
+				video.onloadedmetadata = null;
+				video.onerror = null;
+				video.removeAttribute("src");
+				video.load();
+				URL.revokeObjectURL(url);
+				res(valid);
+			};
+			const timer = setTimeout(() => done(false), PROBE_TIMEOUT_MS);
+			video.onloadedmetadata = () => done(video.duration > 0 && video.videoWidth > 0);
+			video.onerror = () => done(false);
+			video.src = url;
+		});
+	}
+
+	// Replace the queue with files (natural name order) and play the first
+	open(files) {
+		const entries = this.entriesFor(files);
+		if (!entries.length) {
+			alert("Please select a video file.");
+			return;
+		}
+		Store.set({ queueEntries: entries, queueIndex: -1 });
+		this.play(0);
+	}
+
+	// Append files to the queue, playing the first when nothing is loaded
+	add(files) {
+		const entries = this.entriesFor(files);
+		if (!entries.length) {
+			return;
+		}
+		const { queueEntries, queueIndex } = Store.get();
+		Store.set({ queueEntries: [...queueEntries, ...entries] });
+		if (queueIndex < 0) {
+			this.play(queueEntries.length);
+		}
+	}
+
+	// Queue entries for the video files among a file list, each with its matching subtitle file
+	// (a lone video takes a lone subtitle file whatever its name)
+	entriesFor(files) {
+		const list = Array.from(files);
+		const videos = list.filter(file => Playlist.isVideoFile(file));
+		const subtitles = list.filter(file => Subtitles.isSubtitleFile(file));
+		const lone = (videos.length === 1 && subtitles.length === 1) ? subtitles[0] : null;
+		return videos
+			.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+			.map(file => ({
+				name:     file.name,
+				file,
+				subtitle: subtitles.find(subtitle => Subtitles.matches(subtitle.name, file.name)) ?? lone,
+				detected: null,
+				invalid:  false,
+			}));
+	}
+
+	// Load an entry; entries that don't decode are marked and skipped
+	async play(index) {
+		const entry = Store.get("queueEntries")[index];
+		if (!entry) {
+			return;
+		}
+		if (!(await Playlist.isValidVideo(entry.file))) {
+			this.update(index, { invalid: true });
+			const next = this.nextIndex(index, 1, false);
+			if (next === null) {
+				alert(`${entry.name} is not a playable video.`);
+			} else {
+				this.play(next);
+			}
+			return;
+		}
+
+		// Release the previous entry's object URL
+		if (this.url) {
+			URL.revokeObjectURL(this.url);
+		}
+		this.url = URL.createObjectURL(entry.file);
+		Store.set({
+			queueIndex:  index,
+			name:        entry.file.name,
+			file:        entry.file,
+			url:         this.url,
+			fingerprint: null,
+			playback:    false,
+		});
+	}
+
+	// Index of the next playable entry in a direction, or null (wraps when asked)
+	nextIndex(from, direction, wrap = Store.get("repeat") === "all") {
+		const entries = Store.get("queueEntries");
+		for (let offset = 1; offset <= entries.length; offset++) {
+			let index = from + direction * offset;
+			if (wrap) {
+				index = (index + entries.length) % entries.length;
+			}
+			if (index < 0 || index >= entries.length) {
+				return null;
+			}
+			if (!entries[index].invalid) {
+				return index;
+			}
+		}
+		return null;
+	}
+
+	// Play the next (+1) or previous (-1) entry; returns false at either end of the queue
+	step(direction) {
+		const index = this.nextIndex(Store.get("queueIndex"), direction);
+		if (index === null) {
+			return false;
+		}
+		this.play(index);
+		return true;
+	}
+
+	// Continue after the current video ends; returns false when playback should stop
+	advance() {
+		const { queueIndex, repeat } = Store.get();
+		if (repeat === "all" && this.nextIndex(queueIndex, 1) === queueIndex) {
+			// A lone entry restarts in place (playback is still set, so pause before playing again)
+			Store.set({ playback: false });
+			Store.set({ time: 0, playback: true });
+			return true;
+		}
+		return this.step(1);
+	}
+
+	// Move an entry up (-1) or down (+1), keeping the current entry selected
+	move(index, direction) {
+		const { queueEntries, queueIndex } = Store.get();
+		const target = index + direction;
+		if (target < 0 || target >= queueEntries.length) {
+			return;
+		}
+		const entries = [...queueEntries];
+		[entries[index], entries[target]] = [entries[target], entries[index]];
+		const current = queueIndex === index ? target : queueIndex === target ? index : queueIndex;
+		Store.set({ queueEntries: entries, queueIndex: current });
+	}
+
+	// Remove an entry other than the one playing
+	remove(index) {
+		const { queueEntries, queueIndex } = Store.get();
+		if (index === queueIndex) {
+			return;
+		}
+		const entries = queueEntries.filter((_, i) => i !== index);
+		Store.set({ queueEntries: entries, queueIndex: index < queueIndex ? queueIndex - 1 : queueIndex });
+	}
+
+	// Replace fields of one entry
+	update(index, changes) {
+		const entries = Store.get("queueEntries").map((entry, i) => (i === index ? { ...entry, ...changes } : entry));
+		Store.set({ queueEntries: entries });
+	}
+}
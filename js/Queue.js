@@ -0,0 +1,110 @@
+import { Store } from "./Store.js";
+import { Utils } from "./Utils.js";
+
+// Constants
+const queue = document.querySelector(".queue");
+
+// Show/hide panel
+Store.subscribe("queue", (s) => {
+	queue.classList.toggle("hidden", !s.queue);
+});
+
+// Panel heading
+const heading = document.createElement("p");
+heading.className = "queue-title";
+heading.textContent = "Queue";
+queue.appendChild(heading);
+
+// Entry rows (rebuilt on each update)
+const list = document.createElement("div");
+list.className = "queue-list";
+queue.appendChild(list);
+
+// Create an element with class and text
+const element = (tag, className, text = "") => {
+	const el = document.createElement(tag);
+	el.className = className;
+	el.textContent = text;
+	return el;
+};
+
+// Create a button with a click handler
+const button = (text, title, onClick, disabled = false) => {
+	const el = element("button", "queue-button", text);
+	el.title = title;
+	el.disabled = disabled;
+	el.addEventListener("click", onClick);
+	return el;
+};
+
+// Build one row per queued video
+const render = (s) => {
+	if (!s.queueEntries.length) {
+		list.replaceChildren(element("span", "queue-empty", "Open or drop videos or a folder to queue them."));
+		return;
+	}
+
+	list.replaceChildren(...s.queueEntries.map((entry, index) => {
+		const current = index === s.queueIndex;
+		const row = element("div", `queue-row${current ? " active" : ""}${entry.invalid ? " invalid" : ""}`);
+
+		// Name (click to play) and what detection found for it
+		const info = element("div", "queue-info");
+		info.appendChild(element("span", "queue-name", entry.name));
+		const detail = entry.invalid
+			? "Not a playable video"
+			: entry.detected ? Object.values(entry.detected).join(" · ") : "Not played yet";
+		info.appendChild(element("span", "queue-detail", detail));
+		if (!current && !entry.invalid) {
+			info.setAttribute("role", "button");
+			info.tabIndex = 0;
+			info.addEventListener("click", () => s.playlist?.play(index));
+		}
+		row.appendChild(info);
+
+		// Reorder and remove
+		row.appendChild(button("↑", "Move up", () => s.playlist?.move(index, -1), index === 0));
+		const last = index === s.queueEntries.length - 1;
+		row.appendChild(button("↓", "Move down", () => s.playlist?.move(index, 1), last));
+		row.appendChild(button("✕", "Remove", () => s.playlist?.remove(index), current));
+		return row;
+	}));
+};
+Store.subscribe(["queueEntries", "queueIndex"], render);
+
+// Hidden pickers for adding files or a whole folder
+const picker = (directory) => {
+	const input = element("input", "queue-picker");
+	input.type = "file";
+	input.hidden = true;
+	input.multiple = true;
+	input.accept = ".mp4,.webm,.mkv,.mov,.avi,.srt,.vtt,.ass,.ssa";
+	input.webkitdirectory = directory;
+	input.addEventListener("change", () => {
+		Store.get("playlist")?.add(input.files);
+		input.value = "";
+	});
+	queue.appendChild(input);
+	return input;
+};
+const filePicker = picker(false);
+const folderPicker = picker(true);
+
+// Panel actions
+const actions = element("div", "queue-actions");
+actions.appendChild(button("Add videos", "Add videos to the end", () => filePicker.click()));
+actions.appendChild(button("Add folder", "Add every video in a folder", () => folderPicker.click()));
+actions.appendChild(button("Close", "Close queue", () => Store.set({ queue: false })));
+queue.appendChild(actions);
+
+// Dropping onto the panel adds to the queue instead of replacing it
+queue.addEventListener("drop", (e) => {
+	e.preventDefault();
+	e.stopPropagation();
+	Utils.droppedFiles(e.dataTransfer)
+		.then(files => Store.get("playlist")?.add(files))
+		.catch(error => {
+			console.error(error);
+			alert("Couldn't read the dropped files.");
+		});
+});
@@ -1,6 +1,7 @@
 import * as THREE from "three";
 import { Utils } from "./Utils.js";
 import * as Shaders from "./Shaders.js";
+import { Subtitles } from "./Subtitles.js";
 
 const SETTINGS = {
 	VR_VFOV_DEG: 100, // Default camera vertical FOV for VR
@@ -19,10 +20,30 @@ const SETTINGS = {
 	DRAG_SENSITIVITY: 0.005, // Radians per pixel
 	ZOOM_SENSITIVITY: 0.02,
 
-	VR180_EDGE_FEATHER_U: 0.05,
-	VR180_EDGE_FEATHER_V: 0.05,
+	EDGE_FEATHER_DEG: 9, // Fade width along partially covered axes
+
+	CUSTOM_HFOV_MIN_DEG: 10, // Supported custom equirectangular coverage
+	CUSTOM_VFOV_MIN_DEG: 10,
+
+	FISHEYE_FOV_MIN_DEG: 180, // Supported fisheye lens FOV range
+	FISHEYE_FOV_MAX_DEG: 220,
+
+	UPSCALE_LOBES: { fast: 2, high: 3 }, // Lanczos window per upscale quality
+
+	LENS_BLEND_DEG: [90, 150], // Vertical FOV range over which a wide-angle lens takes over from rectilinear
+	LENS_VFOV_MAX_DEG: { stereographic: 320, pannini: 170, equisolid: 360 },
+
+	SUBTITLE_CANVAS: [2048, 512], // Fixed texture size; text is drawn along its bottom
+	SUBTITLE_FONT_PX: 64,
+	SUBTITLE_LINE_SPACING: 1.25,
+	SUBTITLE_LINE_VIEW: 0.055, // Line height as a share of the view height (at size 1)
+	SUBTITLE_BOTTOM: { flat: 0.04, vr: 0.15 }, // Gap below the text: within the frame, or the viewport in VR
+	SUBTITLE_MAX_WIDTH: 0.96, // Share of the view width the texture may span
 };
 
+// Views that show each eye separately, where subtitles get depth
+const STEREO_VIEWS = ["anaglyph", "crossview", "parallel", "interlaced", "wiggle"];
+
 // Manages Three.js rendering, including scene, camera, and geometry.
 export class Render {
 
@@ -46,6 +67,11 @@ export class Render {
 	// Derived projection info
 	_projHFovDeg = null;
 	_projVFovDeg = null;
+	_projYawDeg = 0;
+	_projPitchDeg = 0;
+
+	// Active wide-angle viewing lens (null for the rectilinear camera inside the sphere)
+	lens = null;
 
 	// Interaction state
 	isDragging = false;
@@ -55,8 +81,28 @@ export class Render {
 	pitch = 0;
 	cleanupInteractions = () => {};
 
-	// Animation frame handle
+	// Animation frame handle, whether the loop only redraws when the window moves (paused interlacing),
+	// and whether an idle loop owes a redraw for a changed setting
 	frame = null;
+	idle = false;
+	dirty = false;
+
+	// Window position on screen when the interlacing grid was last aligned
+	windowX = null;
+	windowY = null;
+
+	// uLeftEye value per side-by-side viewport (null renders a single full-canvas view)
+	viewportEyes = null;
+
+	// Wiggle timing ({ rate, fade } while the wiggle view is active)
+	wiggle = null;
+
+	// Subtitle cues, the text drawn into the subtitle texture, and whether subtitles are shown
+	subtitleCanvas;
+	subtitleTexture;
+	cues = null;
+	subtitleText = "";
+	showSubtitles = true;
 
 	constructor(video, canvas) {
 		this.video  = video;
@@ -66,6 +112,7 @@ export class Render {
 		this._initScene();
 		this._initCameras();
 		this._initVideoTexture();
+		this._initSubtitleTexture();
 		this._initMesh();
 		this.cleanupInteractions = this._initInteractions();
 	}
@@ -104,6 +151,15 @@ export class Render {
 		this.videoTexture.generateMipmaps = false;
 	}
 
+	_initSubtitleTexture() {
+		const [width, height] = SETTINGS.SUBTITLE_CANVAS;
+		this.subtitleCanvas = document.createElement("canvas");
+		this.subtitleCanvas.width = width;
+		this.subtitleCanvas.height = height;
+		this.subtitleTexture = new THREE.CanvasTexture(this.subtitleCanvas);
+		this.subtitleTexture.colorSpace = THREE.SRGBColorSpace;
+	}
+
 	_initMesh() {
 		const geometry = new THREE.PlaneGeometry(2, 2);
 		const material = new THREE.MeshBasicMaterial({ map: this.videoTexture, side: THREE.DoubleSide });
@@ -148,12 +204,15 @@ export class Render {
 
 	// --- Public API & State Changers ---
 
-	start() {
+	start(idle = false) {
+		this.idle = idle;
 		if (this.frame) {
 			return;
 		}
 		const loop = () => {
-			this.renderFrame();
+			if (!this.idle || this.dirty || this._followWindow()) {
+				this.renderFrame();
+			}
 			this.frame = requestAnimationFrame(loop);
 		};
 		this.frame = requestAnimationFrame(loop);
@@ -166,16 +225,194 @@ export class Render {
 		}
 	}
 
+	// Interlaced views map source pixels 1:1 onto device pixels
+	_applyPixelRatio(s) {
+		const ratio = window.devicePixelRatio || 1;
+		this.webgl.setPixelRatio(s.view === "interlaced" ? ratio : Math.min(ratio, SETTINGS.PIXEL_RATIO_MAX));
+	}
+
+	// Keep interlacing aligned to device pixels: canvas offset on screen and drawing buffer height
+	// (the window frame adds a constant offset, which Flip Parity corrects)
+	_updatePixelGrid() {
+		this.windowX = window.screenX;
+		this.windowY = window.screenY;
+		const grid = this.mesh?.material?.uniforms?.uPixelGrid?.value;
+		if (!grid || !this.canvas) {
+			return;
+		}
+		const ratio = this.webgl.getPixelRatio();
+		const rect = this.canvas.getBoundingClientRect();
+		const buffer = this.webgl.getDrawingBufferSize(new THREE.Vector2());
+		const x = Math.round((this.windowX + rect.left) * ratio);
+		const y = Math.round((this.windowY + rect.top) * ratio);
+		grid.set(x, y, buffer.y);
+	}
+
+	// Realign interlacing when the window has moved on screen; returns true when it did
+	_followWindow() {
+		if (window.screenX === this.windowX && window.screenY === this.windowY) {
+			return false;
+		}
+		this._updatePixelGrid();
+		return true;
+	}
+
+	// Sharpening and upscaling step in source pixels, which are only known once the video's metadata has loaded
+	_updateTexelSize(s) {
+		const u = this.mesh?.material?.uniforms;
+		const { videoWidth, videoHeight } = this.video ?? {};
+		if (!u?.uSharpen || !videoWidth || !videoHeight) {
+			return;
+		}
+		u.uSharpen.value.set(1 / videoWidth, 1 / videoHeight, s.sharpen);
+
+		// Half-resolution eyes are squeezed across SBS width or OU height (0 lobes = bilinear)
+		const squeezed = s.upscale && s.resolution === "half" && s.view !== "original";
+		const lobes = squeezed ? SETTINGS.UPSCALE_LOBES[s.upscaleQuality] ?? 0 : 0;
+		const sbs = (s.layout === "sbs");
+		u.uUpscale.value.set(sbs ? 1 / videoWidth : 0, sbs ? 0 : 1 / videoHeight, lobes);
+	}
+
 	renderFrame() {
+		this.dirty = false;
 		if (this.videoTexture?.image?.readyState >= 2 && this.videoTexture.image.videoWidth > 0) {
 			this.videoTexture.needsUpdate = true;
 		}
-		this.webgl.render(this.scene, this.camera);
+		if (this.wiggle) {
+			this._updateWiggle(performance.now() / 1000);
+		}
+		this._updateSubtitle();
+		this._followWindow();
+		if (this.viewportEyes) {
+			this._renderViewports();
+		} else {
+			const buffer = this.webgl.getDrawingBufferSize(new THREE.Vector2());
+			this._setViewportUniform(0, 0, buffer.x, buffer.y);
+			this.webgl.render(this.scene, this.camera);
+		}
+	}
+
+	// Redraw the subtitle texture when the cue at the current time changes
+	_updateSubtitle() {
+		const text = (this.cues && this.showSubtitles) ? Subtitles.textAt(this.cues, this.video.currentTime) : "";
+		if (text === this.subtitleText) {
+			return;
+		}
+		this.subtitleText = text;
+		this._drawSubtitle(text);
+		const u = this.mesh.material.uniforms;
+		if (u?.uSubtitleOn) {
+			u.uSubtitleOn.value = !!text;
+		}
+	}
+
+	// Draw outlined, centered lines along the bottom of the subtitle canvas, shrinking the font to fit
+	_drawSubtitle(text) {
+		const { width, height } = this.subtitleCanvas;
+		const ctx = this.subtitleCanvas.getContext("2d");
+		ctx.clearRect(0, 0, width, height);
+		this.subtitleTexture.needsUpdate = true;
+		if (!text) {
+			return;
+		}
+
+		const lines = text.split("\n");
+		const font = (px) => `600 ${px}px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif`;
+		let px = SETTINGS.SUBTITLE_FONT_PX;
+		ctx.font = font(px);
+		const widest = Math.max(...lines.map(line => ctx.measureText(line).width));
+		const lineHeight = px * SETTINGS.SUBTITLE_LINE_SPACING;
+		px *= Math.min(1, (width - px) / Math.max(1, widest), height / (lines.length * lineHeight));
+
+		ctx.font = font(px);
+		ctx.textAlign = "center";
+		ctx.textBaseline = "bottom";
+		ctx.lineJoin = "round";
+		ctx.lineWidth = px / 6;
+		ctx.strokeStyle = "rgba(0, 0, 0, 0.85)";
+		ctx.fillStyle = "#fff";
+		lines.forEach((line, i) => {
+			const y = height - (lines.length - 1 - i) * px * SETTINGS.SUBTITLE_LINE_SPACING - px * 0.1;
+			ctx.strokeText(line, width / 2, y);
+			ctx.fillText(line, width / 2, y);
+		});
 	}
 
+	// Place the subtitle texture in view uv: the eye's frame for flat views, the viewport for VR
+	_updateSubtitleRect(s) {
+		const u = this.mesh?.material?.uniforms;
+		if (!u?.uSubtitleRect || !this.canvas) {
+			return;
+		}
+		const isVr = this._isVrProjection(s.projection);
+		let aspect = Utils.currentAspect(this.canvas, this.viewportEyes?.length ?? 1);
+		if (!isVr) {
+			const { width, height } = Utils.contentDimensions(this.video, s);
+			aspect = (width && height) ? width / height : aspect;
+		}
+
+		const [canvasWidth, canvasHeight] = SETTINGS.SUBTITLE_CANVAS;
+		const lineHeight = SETTINGS.SUBTITLE_FONT_PX * SETTINGS.SUBTITLE_LINE_SPACING;
+		let h = (canvasHeight / lineHeight) * SETTINGS.SUBTITLE_LINE_VIEW * (s.subtitleSize ?? 1);
+		let w = h * (canvasWidth / canvasHeight) / aspect;
+		if (w > SETTINGS.SUBTITLE_MAX_WIDTH) {
+			h *= SETTINGS.SUBTITLE_MAX_WIDTH / w;
+			w = SETTINGS.SUBTITLE_MAX_WIDTH;
+		}
+		u.uSubtitleRect.value.set(0.5 - w / 2, SETTINGS.SUBTITLE_BOTTOM[isVr ? "vr" : "flat"], w, h);
+	}
+
+	// Viewport the next render draws into, in drawing buffer pixels (VR subtitles are placed within it)
+	_setViewportUniform(x, y, width, height) {
+		const viewport = this.mesh.material.uniforms?.uViewport;
+		if (viewport) {
+			viewport.value.set(x, y, width, height);
+		}
+	}
+
+	/**
+	 * Advance the wiggle blend: eyes swap `rate` times per second, easing across `fade` of each swap.
+	 * @param {number} seconds Current time in seconds.
+	 */
+	_updateWiggle(seconds) {
+		const uniform = this.mesh.material.uniforms?.uWiggleMix;
+		if (!uniform) {
+			return;
+		}
+		const { rate, fade } = this.wiggle;
+		const phase = (seconds * rate / 2) % 1;
+		const triangle = 1 - Math.abs(2 * phase - 1);
+		uniform.value = Math.max(0, Math.min(1, (triangle - 0.5) / Math.max(fade, 0.001) + 0.5));
+	}
+
+	// Render each eye into its own slice of the canvas with the shared camera
+	_renderViewports() {
+		const { x: width, y: height } = this.webgl.getSize(new THREE.Vector2());
+		const sliceWidth = width / this.viewportEyes.length;
+		const uniforms = this.mesh.material.uniforms;
+
+		const ratio = this.webgl.getPixelRatio();
+
+		this.webgl.setScissorTest(true);
+		this.viewportEyes.forEach((leftEye, i) => {
+			if (uniforms?.uLeftEye) {
+				uniforms.uLeftEye.value = leftEye;
+			}
+			this._setViewportUniform(i * sliceWidth * ratio, 0, sliceWidth * ratio, height * ratio);
+			this.webgl.setViewport(i * sliceWidth, 0, sliceWidth, height);
+			this.webgl.setScissor(i * sliceWidth, 0, sliceWidth, height);
+			this.webgl.render(this.scene, this.camera);
+		});
+		this.webgl.setScissorTest(false);
+		this.webgl.setViewport(0, 0, width, height);
+	}
+
+	// Draw now, or on the loop's next frame when it's running
 	requestRender() {
 		if (!this.frame) {
 			this.renderFrame();
+		} else {
+			this.dirty = true;
 		}
 	}
 
@@ -191,13 +428,17 @@ export class Render {
 			return;
 		}
 
+		this._applyPixelRatio(s);
 		this.webgl.setSize(cw, ch, false);
+		this._updatePixelGrid();
+		this._updateTexelSize(s);
+		this._updateSubtitleRect(s);
 
+		const canvasAspect = Utils.currentAspect(this.canvas, this.viewportEyes?.length ?? 1);
 		if (this.camera.isPerspectiveCamera) {
-			this.camera.aspect = cw / ch;
+			this.camera.aspect = canvasAspect;
 			this._applyPanAndZoomClamps();
 		} else {
-			const canvasAspect = cw / ch;
 			const contentDims = Utils.contentDimensions(this.video, s);
 			const contentAspect = contentDims.width / contentDims.height;
 			const extents = Utils.orthoExtents(canvasAspect, contentAspect);
@@ -211,6 +452,13 @@ export class Render {
 		this.renderFrame();
 	}
 
+	// Replace the subtitle cues (null for none)
+	setSubtitles(cues) {
+		this.cues = cues;
+		this.subtitleText = null; // Redraw on the next frame
+		this.requestRender();
+	}
+
 	setVideo(video) {
 		this.video = video;
 		if (!this.videoTexture) {
@@ -223,7 +471,7 @@ export class Render {
 
 	// Apply view mode and refresh geometry/materials
 	setView(s) {
-		this._applyProjectionAndViewGeometry(s.projection);
+		this._applyProjectionAndViewGeometry(s);
 		this.updateMaterial(s);
 		this.resize(s);
 	}
@@ -242,6 +490,12 @@ export class Render {
 		this.requestRender();
 	}
 
+	// Apply interlace pattern/parity, anaglyph scheme, wiggle timing, eye alignment or image processing
+	setOutputOptions(s) {
+		this.updateMaterial(s);
+		this.requestRender();
+	}
+
 	// Apply resolution and refresh materials
 	setResolution(s) {
 		this.updateMaterial(s);
@@ -250,11 +504,45 @@ export class Render {
 
 	// Apply projection and refresh geometry/materials
 	setProjection(s) {
-		this._applyProjectionAndViewGeometry(s.projection);
+		this._applyProjectionAndViewGeometry(s);
 		this.updateMaterial(s);
 		this.resize(s);
 	}
 
+	// Apply fisheye lens FOV or custom coverage without resetting the look direction
+	setCoverage(s) {
+		if (s.projection !== "fisheye" && s.projection !== "custom") {
+			return;
+		}
+		if (this.mesh.geometry) {
+			this.mesh.geometry.dispose();
+		}
+		this.mesh.geometry = this._createVrGeometry(s);
+		this.updateMaterial(s);
+		this._applyPanAndZoomClamps();
+		this.requestRender();
+	}
+
+	// Switch the viewing lens for full-sphere content without resetting the look direction
+	setLens(s) {
+		if (!this._isVrProjection(s.projection)) {
+			return;
+		}
+		this.lens = this._activeLens(s);
+		this.mesh.geometry.dispose();
+		this.mesh.geometry = this.lens ? new THREE.PlaneGeometry(2, 2) : this._createVrGeometry(s);
+		this.updateMaterial(s);
+		this._applyPanAndZoomClamps();
+		this.requestRender();
+	}
+
+	// Apply horizon leveling to the sphere without resetting the look direction
+	setLevel(s) {
+		this._applyLevel(s);
+		this._applyPanAndZoomClamps();
+		this.requestRender();
+	}
+
 	// Recreate or update material for current state (minimal branching)
 	updateMaterial(s) {
 		if (!this.mesh) {
@@ -262,10 +550,11 @@ export class Render {
 		}
 
 		const isVr = this._isVrProjection(s.projection);
-		const view = s.view;
+		// Free-viewing pairs, interlacing and wiggle pick eyes within the single-eye material
+		const view = (Utils.isPairView(s.view) || ["interlaced", "wiggle"].includes(s.view)) ? "watch" : s.view;
 		const intendedType = isVr
 			? (view === "anaglyph" ? "vr-anaglyph" : "vr-equirect")
-			: (view === "anaglyph" ? "flat-anaglyph" : (view === "watch" ? "flat-watch" : "flat-basic"));
+			: (view === "anaglyph" ? "flat-anaglyph" : (view === "watch" ? "flat-watch" : "flat-source"));
 
 		const currentType = this.mesh.material?.userData?.type;
 		if (currentType !== intendedType) {
@@ -281,16 +570,18 @@ export class Render {
 			} else if (view === "watch") {
 				this.mesh.material = this._createWatchFlatMaterial(s);
 			} else {
-				this.mesh.material = new THREE.MeshBasicMaterial({ map: this.videoTexture });
+				this.mesh.material = this._createSourceFlatMaterial();
 			}
 			this.mesh.material.userData.type = intendedType;
 		}
 
 		// Update any uniforms that exist (handles minor state changes without recreating)
 		this._updateMaterialUniforms(this.mesh.material, s);
+		this._updatePixelGrid();
 
-		// All VR materials need to see the inside of the sphere
-		this.mesh.material.side = isVr ? THREE.BackSide : THREE.FrontSide;
+		// All VR materials need to see the inside of the sphere; a lens draws a screen-filling quad instead
+		this.mesh.material.side = this.lens ? THREE.DoubleSide : (isVr ? THREE.BackSide : THREE.FrontSide);
+		this.mesh.frustumCulled = !this.lens;
 	}
 
 	// Update present uniforms in a material generically
@@ -304,31 +595,125 @@ export class Render {
 			u.map.value = this.videoTexture;
 		}
 		// FOV
+		const projectionType = this._projectionType(s.projection);
+		const coverage = this._projectionCoverage(s);
 		if (u.u_h_fov_rad) {
-			u.u_h_fov_rad.value = (s.projection === "vr180") ? Math.PI : (Math.PI * 2);
+			u.u_h_fov_rad.value = THREE.MathUtils.degToRad(coverage.hFov);
 		}
 		if (u.u_v_fov_rad) {
-			u.u_v_fov_rad.value = Math.PI;
+			u.u_v_fov_rad.value = THREE.MathUtils.degToRad(coverage.vFov);
+		}
+		if (u.u_fov_center) {
+			u.u_fov_center.value.set(THREE.MathUtils.degToRad(coverage.yaw), THREE.MathUtils.degToRad(coverage.pitch));
+		}
+		// Source projection
+		if (u.uProjectionType) {
+			u.uProjectionType.value = projectionType;
+		}
+		if (u.uFisheyeFov) {
+			u.uFisheyeFov.value = THREE.MathUtils.degToRad(coverage.hFov);
 		}
 		// Layout
 		if (u.uLayout) {
 			u.uLayout.value = (s.layout === "sbs" ? 0 : 1);
 		}
-		// Resolution
+		// Resolution (fisheye circles and cubemaps always fill their eye's half)
 		if (u.uHalfRes) {
-			u.uHalfRes.value = (s.resolution === "half");
+			u.uHalfRes.value = (s.resolution === "half") && projectionType === 0;
 		}
 		// Watch flag (VR equirect)
 		if (u.uIsWatchView) {
-			u.uIsWatchView.value = (s.view === "watch");
+			u.uIsWatchView.value = ["watch", "interlaced", "wiggle"].includes(s.view) || Utils.isPairView(s.view);
 		}
-		// Mono eye selector
+		// Mono eye selector, flipped when the right eye is stored first, and for glasses worn reversed
+		// where glasses are used (interlacing and wiggle treat it as the left eye)
+		const rightFirst = s.eyeOrder === "right";
+		const swapped = rightFirst !== (["anaglyph", "interlaced"].includes(s.view) && !!s.glassesReversed);
+		const eye = (s.view === "interlaced" || s.view === "wiggle") ? "left" : s.eye;
 		if (u.uLeftEye) {
-			u.uLeftEye.value = (s.eye !== "right");
+			u.uLeftEye.value = (eye !== "right") !== swapped;
+		}
+		// Interlaced pattern
+		if (u.uInterlace) {
+			u.uInterlace.value = (s.view === "interlaced") ? s.interlaces.indexOf(s.interlace) + 1 : 0;
+		}
+		if (u.uInterlaceFlip) {
+			u.uInterlaceFlip.value = !!s.interlaceFlip;
+		}
+		// Wiggle (blend advanced per frame in renderFrame)
+		const isWiggle = (s.view === "wiggle");
+		this.wiggle = isWiggle
+			? { rate: Math.max(0.1, s.wiggleRate), fade: Math.max(0, Math.min(1, s.wiggleFade)) }
+			: null;
+		if (u.uWiggle) {
+			u.uWiggle.value = isWiggle;
+		}
+		if (u.uWiggleShift) {
+			u.uWiggleShift.value = isWiggle ? s.wiggleOffset : 0;
+		}
+		// Free-viewing viewports, left to right (cross-eyed puts the right eye on the left)
+		const pairEyes = { crossview: ["right", "left"], parallel: ["left", "right"] }[s.view];
+		this.viewportEyes = pairEyes ? pairEyes.map(eye => (eye !== "right") !== swapped) : null;
+		// Anaglyph eye order and glasses scheme
+		if (u.uSwapEyes) {
+			u.uSwapEyes.value = swapped ? 1 : 0;
+		}
+		// Eye alignment, given for the left eye (mirrored when it's stored second)
+		if (u.uEyeAlign) {
+			const sign = rightFirst ? -1 : 1;
+			u.uEyeAlign.value.set(
+				sign * (s.alignX ?? 0),
+				sign * (s.alignY ?? 0),
+				sign * THREE.MathUtils.degToRad(s.alignRotation ?? 0),
+				sign * (s.alignScale ?? 0),
+			);
+		}
+		if (u.uEyeAspect) {
+			u.uEyeAspect.value = this._eyeAspect(s);
+		}
+		if (u.uAnaglyph) {
+			u.uAnaglyph.value = Math.max(0, s.anaglyphs.indexOf(s.anaglyph));
+		}
+		// Wide-angle lens (0 = rectilinear sphere)
+		if (u.uLens) {
+			u.uLens.value = this.lens ? s.lenses.indexOf(this.lens) : 0;
+			this._updateLensView();
+		}
+		// Image adjustments
+		if (u.uAdjust) {
+			u.uAdjust.value.set(s.brightness, s.contrast, s.saturation, THREE.MathUtils.degToRad(s.hue));
+		}
+		if (u.uGamma) {
+			u.uGamma.value = Math.max(0.1, s.gamma);
+		}
+		if (u.uSharpen) {
+			this._updateTexelSize(s);
+		}
+		// Filters stay inside the sampled eye (Source view shows the whole frame)
+		if (u.uEyeSplit) {
+			const sbs = (s.layout === "sbs");
+			u.uEyeSplit.value.set(s.view !== "original" && sbs ? 1 : 0, s.view !== "original" && !sbs ? 1 : 0);
+		}
+		// HDR tone mapping (SDR sources pass through)
+		if (u.uToneMap) {
+			u.uToneMap.value.set(
+				Math.max(0, s.transfers.indexOf(s.transfer)),
+				Math.max(0, s.toneMappings.indexOf(s.toneMapping)),
+				s.exposure,
+			);
+		}
+		// Subtitles (text is redrawn per frame; the eye stored first is shifted by half the disparity)
+		this.showSubtitles = s.subtitles;
+		if (u.uSubtitle) {
+			const disparity = STEREO_VIEWS.includes(s.view) ? s.subtitleDepth : 0;
+			u.uSubtitle.value = this.subtitleTexture;
+			u.uSubtitleOn.value = s.subtitles && !!this.subtitleText;
+			u.uSubtitleShift.value = (swapped ? -1 : 1) * disparity / 2;
+			this._updateSubtitleRect(s);
 		}
 		// VR edge feathering
 		if (u.uEdgeFeather) {
-			const feather = this._edgeFeatherForProjection(s.projection);
+			const feather = this._edgeFeather(s);
 			u.uEdgeFeather.value.set(feather.u, feather.v);
 		}
 		// Anaglyph tuning
@@ -377,6 +762,9 @@ export class Render {
 		if (this.videoTexture) {
 			this.videoTexture.dispose();
 		}
+		if (this.subtitleTexture) {
+			this.subtitleTexture.dispose();
+		}
 	}
 
 	// --- Event Handlers ---
@@ -424,7 +812,8 @@ export class Render {
 			return;
 		}
 
-		const delta = e.deltaY;
+		// Lenses zoom in proportion to their FOV so wide views don't take many wheel turns
+		const delta = this.lens ? e.deltaY * Math.max(1, this.camera.fov / SETTINGS.VR_VFOV_DEG) : e.deltaY;
 		this.camera.fov = Utils.zoomFromWheel(this.camera.fov, delta, SETTINGS.ZOOM_SENSITIVITY);
 		this._applyPanAndZoomClamps(); // This will clamp FOV and update projection matrix
 		this.requestRender();
@@ -452,43 +841,129 @@ export class Render {
 		return cam;
 	}
 
-	_createVrGeometry(projection) {
-		const hFov = (projection === "vr180") ? 180 : (projection === "vr360") ? 360 : 0;
-		const vFov = (projection === "vr180" || projection === "vr360") ? 180 : 0;
-		this._projHFovDeg = hFov;
-		this._projVFovDeg = vFov;
-		const hFovRad = THREE.MathUtils.degToRad(hFov);
+	/**
+	 * Angular coverage of the source for a projection mode.
+	 * @param {{ projection: string, fisheyeFov: number, customHFov: number, customVFov: number,
+	 *   customYaw: number, customPitch: number }} s Current state.
+	 * @returns {{hFov: number, vFov: number, yaw: number, pitch: number}} Horizontal/vertical coverage
+	 *   and the longitude/latitude of its center, in degrees.
+	 */
+	_projectionCoverage(s) {
+		if (s.projection === "fisheye") {
+			const fov = Math.max(SETTINGS.FISHEYE_FOV_MIN_DEG, Math.min(SETTINGS.FISHEYE_FOV_MAX_DEG, s.fisheyeFov));
+			return { hFov: fov, vFov: fov, yaw: 0, pitch: 0 };
+		}
+		if (s.projection === "custom") {
+			const hFov = Math.max(SETTINGS.CUSTOM_HFOV_MIN_DEG, Math.min(360, s.customHFov));
+			const vFov = Math.max(SETTINGS.CUSTOM_VFOV_MIN_DEG, Math.min(180, s.customVFov));
+			const yaw = hFov >= 360 ? 0 : Math.max(-180, Math.min(180, s.customYaw));
+			// Keep the covered band between the poles
+			const pitchLimit = (180 - vFov) / 2;
+			const pitch = Math.max(-pitchLimit, Math.min(pitchLimit, s.customPitch));
+			return { hFov, vFov, yaw, pitch };
+		}
+		if (s.projection === "vr180") {
+			return { hFov: 180, vFov: 180, yaw: 0, pitch: 0 };
+		}
+		if (s.projection === "vr360" || s.projection === "cubemap" || s.projection === "eac") {
+			return { hFov: 360, vFov: 180, yaw: 0, pitch: 0 };
+		}
+		return { hFov: 0, vFov: 0, yaw: 0, pitch: 0 };
+	}
 
-		// Center projection around camera's -Z axis
-		const thetaStart = -hFovRad / 2 - Math.PI / 2;
+	// Width/height of one eye as seen, so eye rotation isn't skewed by the frame shape
+	_eyeAspect(s) {
+		if (this._isVrProjection(s.projection)) {
+			const { hFov, vFov } = this._projectionCoverage(s);
+			return (this._projectionType(s.projection) === 0 && vFov > 0) ? hFov / vFov : 1;
+		}
+		const { width, height } = Utils.contentDimensions(this.video, { ...s, view: "watch" });
+		return (width && height) ? width / height : 1;
+	}
+
+	// Shader source-mapping index for a projection (matches uProjectionType)
+	_projectionType(projection) {
+		return { fisheye: 1, cubemap: 2, eac: 3 }[projection] ?? 0;
+	}
+
+	// Record the covered area used for clamping and recentering
+	_setProjectionCoverage(s) {
+		const coverage = this._projectionCoverage(s);
+		this._projHFovDeg = coverage.hFov;
+		this._projVFovDeg = coverage.vFov;
+		this._projYawDeg = coverage.yaw;
+		this._projPitchDeg = coverage.pitch;
+		return coverage;
+	}
+
+	// Wide-angle lens for full-sphere content, or null for the rectilinear camera
+	_activeLens(s) {
+		return (s.lens !== "rectilinear" && Utils.isSphereProjection(s.projection)) ? s.lens : null;
+	}
+
+	_createVrGeometry(s) {
+		const coverage = this._setProjectionCoverage(s);
+
+		// Fisheye lenses can see past 180º, so cover the whole sphere and let the shader mask the circle
+		const isFisheye = (s.projection === "fisheye");
+		const hFovRad = isFisheye ? Math.PI * 2 : THREE.MathUtils.degToRad(coverage.hFov);
+		const vFovRad = isFisheye ? Math.PI : THREE.MathUtils.degToRad(coverage.vFov);
+
+		// Center projection around camera's -Z axis, shifted to the coverage center (longitude grows to the right)
+		const phiStart = -hFovRad / 2 - Math.PI / 2 - THREE.MathUtils.degToRad(coverage.yaw);
+		const thetaStart = Math.PI / 2 - THREE.MathUtils.degToRad(coverage.pitch) - vFovRad / 2;
 
 		return new THREE.SphereGeometry(
 			SETTINGS.SPHERE_RADIUS,
 			SETTINGS.SPHERE_WIDTH_SEGMENTS,
 			SETTINGS.SPHERE_HEIGHT_SEGMENTS,
-			thetaStart, // phiStart in older three.js
-			hFovRad,    // phiLength
-			0,          // thetaStart
-			Math.PI,     // thetaLength
+			phiStart,   // Horizontal start
+			hFovRad,    // Horizontal length
+			thetaStart, // Vertical start (from the north pole)
+			vFovRad,    // Vertical length
 		);
 	}
 
 	_createEquirectMaterial(s) {
-		const { layout, view, projection, resolution, eye } = s;
-		// Precompute radians to avoid per-call conversions
-		const hFovRad = (projection === "vr180") ? Math.PI : (Math.PI * 2);
-		const vFovRad = Math.PI;
+		const { layout, view, resolution, eye } = s;
 
 		return new THREE.ShaderMaterial({
 			uniforms: {
 				map: { value: this.videoTexture },
-				u_h_fov_rad: { value: hFovRad },
-				u_v_fov_rad: { value: vFovRad },
+				u_h_fov_rad: { value: Math.PI * 2 },
+				u_v_fov_rad: { value: Math.PI },
+				u_fov_center: { value: new THREE.Vector2(0, 0) },
+				uProjectionType: { value: 0 },
+				uFisheyeFov: { value: Math.PI },
+				uLens: { value: 0 },
+				uLensFov: { value: Math.PI / 2 },
+				uLensAspect: { value: 1 },
+				uLensMix: { value: 0 },
+				uLensRotation: { value: new THREE.Matrix3() },
 				uLayout: { value: layout === "sbs" ? 0 : 1 },
+				uEyeAlign: { value: new THREE.Vector4(0, 0, 0, 0) },
+				uEyeAspect: { value: 1 },
 				uIsWatchView: { value: view === "watch" },
 				uHalfRes: { value: resolution === "half" },
 				uLeftEye: { value: eye !== "right" },
+				uInterlace: { value: 0 },
+				uInterlaceFlip: { value: false },
+				uPixelGrid: { value: new THREE.Vector3(0, 0, 0) },
+				uWiggle: { value: false },
+				uWiggleMix: { value: 0 },
+				uWiggleShift: { value: 0 },
 				uEdgeFeather: { value: new THREE.Vector2(0, 0) },
+				uAdjust: { value: new THREE.Vector4(0, 1, 1, 0) },
+				uGamma: { value: 1 },
+				uUpscale: { value: new THREE.Vector3(0, 0, 0) },
+				uSharpen: { value: new THREE.Vector3(0, 0, 0) },
+				uEyeSplit: { value: new THREE.Vector2(0, 0) },
+				uToneMap: { value: new THREE.Vector3(0, 0, 0) },
+				uSubtitle: { value: this.subtitleTexture },
+				uSubtitleOn: { value: false },
+				uSubtitleRect: { value: new THREE.Vector4(0, 0, 1, 1) },
+				uSubtitleShift: { value: 0 },
+				uViewport: { value: new THREE.Vector4(0, 0, 1, 1) },
 			},
 			vertexShader: Shaders.EQUIRECT_VERTEX_SHADER,
 			fragmentShader: Shaders.EQUIRECT_FRAGMENT_SHADER,
@@ -496,18 +971,26 @@ export class Render {
 	}
 
 	_createAnaglyphVrMaterial(s) {
-		const { layout, projection, resolution } = s;
-		// Precompute radians to avoid per-call conversions
-		const hFovRad = (projection === "vr180") ? Math.PI : (Math.PI * 2);
-		const vFovRad = Math.PI;
+		const { layout, resolution } = s;
 
 		const mat = new THREE.ShaderMaterial({
 			uniforms: {
 				map: { value: this.videoTexture },
-				u_h_fov_rad: { value: hFovRad },
-				u_v_fov_rad: { value: vFovRad },
+				u_h_fov_rad: { value: Math.PI * 2 },
+				u_v_fov_rad: { value: Math.PI },
+				u_fov_center: { value: new THREE.Vector2(0, 0) },
+				uProjectionType: { value: 0 },
+				uFisheyeFov: { value: Math.PI },
+				uLens: { value: 0 },
+				uLensFov: { value: Math.PI / 2 },
+				uLensAspect: { value: 1 },
+				uLensMix: { value: 0 },
+				uLensRotation: { value: new THREE.Matrix3() },
 				uLayout: { value: layout === "sbs" ? 0 : 1 },
+				uEyeAlign: { value: new THREE.Vector4(0, 0, 0, 0) },
+				uEyeAspect: { value: 1 },
 				uSwapEyes: { value: 0 },
+				uAnaglyph: { value: 0 },
 				uHalfRes: { value: resolution === "half" },
 				uEdgeFeather: { value: new THREE.Vector2(0, 0) },
 				uAntiRed: { value: 0 },
@@ -516,6 +999,17 @@ export class Render {
 				uGreenBalance: { value: 0 },
 				uConvergence: { value: 0 },
 				uDepth: { value: 0 },
+				uAdjust: { value: new THREE.Vector4(0, 1, 1, 0) },
+				uGamma: { value: 1 },
+				uUpscale: { value: new THREE.Vector3(0, 0, 0) },
+				uSharpen: { value: new THREE.Vector3(0, 0, 0) },
+				uEyeSplit: { value: new THREE.Vector2(0, 0) },
+				uToneMap: { value: new THREE.Vector3(0, 0, 0) },
+				uSubtitle: { value: this.subtitleTexture },
+				uSubtitleOn: { value: false },
+				uSubtitleRect: { value: new THREE.Vector4(0, 0, 1, 1) },
+				uSubtitleShift: { value: 0 },
+				uViewport: { value: new THREE.Vector4(0, 0, 1, 1) },
 			},
 			vertexShader: Shaders.EQUIRECT_VERTEX_SHADER,
 			fragmentShader: Shaders.ANAGLYPH_FRAGMENT_SHADER,
@@ -530,13 +1024,27 @@ export class Render {
 			uniforms: {
 				map: { value: this.videoTexture },
 				uLayout: { value: layout === "sbs" ? 0 : 1 },
+				uEyeAlign: { value: new THREE.Vector4(0, 0, 0, 0) },
+				uEyeAspect: { value: 1 },
 				uSwapEyes: { value: 0 },
+				uAnaglyph: { value: 0 },
 				uAntiRed: { value: 0 },
 				uAntiGreen: { value: 0 },
 				uAntiBlue: { value: 0 },
 				uGreenBalance: { value: 0 },
 				uConvergence: { value: 0 },
 				uDepth: { value: 0 },
+				uAdjust: { value: new THREE.Vector4(0, 1, 1, 0) },
+				uGamma: { value: 1 },
+				uUpscale: { value: new THREE.Vector3(0, 0, 0) },
+				uSharpen: { value: new THREE.Vector3(0, 0, 0) },
+				uEyeSplit: { value: new THREE.Vector2(0, 0) },
+				uToneMap: { value: new THREE.Vector3(0, 0, 0) },
+				uSubtitle: { value: this.subtitleTexture },
+				uSubtitleOn: { value: false },
+				uSubtitleRect: { value: new THREE.Vector4(0, 0, 1, 1) },
+				uSubtitleShift: { value: 0 },
+				uViewport: { value: new THREE.Vector4(0, 0, 1, 1) },
 			},
 			vertexShader: Shaders.FLAT_VERTEX_SHADER,
 			fragmentShader: Shaders.ANAGLYPH_FLAT_FRAGMENT_SHADER,
@@ -545,6 +1053,18 @@ export class Render {
 		return mat;
 	}
 
+	// Create flat-projection Source material (the whole frame, HDR tone mapped)
+	_createSourceFlatMaterial() {
+		return new THREE.ShaderMaterial({
+			uniforms: {
+				map: { value: this.videoTexture },
+				uToneMap: { value: new THREE.Vector3(0, 0, 0) },
+			},
+			vertexShader: Shaders.FLAT_VERTEX_SHADER,
+			fragmentShader: Shaders.SOURCE_FLAT_FRAGMENT_SHADER,
+		});
+	}
+
 	// Create flat-projection Watch material (samples a single eye)
 	_createWatchFlatMaterial(s) {
 		const { layout, eye } = s;
@@ -552,7 +1072,26 @@ export class Render {
 			uniforms: {
 				map: { value: this.videoTexture },
 				uLayout: { value: layout === "sbs" ? 0 : 1 },
+				uEyeAlign: { value: new THREE.Vector4(0, 0, 0, 0) },
+				uEyeAspect: { value: 1 },
 				uLeftEye: { value: eye !== "right" },
+				uInterlace: { value: 0 },
+				uInterlaceFlip: { value: false },
+				uPixelGrid: { value: new THREE.Vector3(0, 0, 0) },
+				uWiggle: { value: false },
+				uWiggleMix: { value: 0 },
+				uWiggleShift: { value: 0 },
+				uAdjust: { value: new THREE.Vector4(0, 1, 1, 0) },
+				uGamma: { value: 1 },
+				uUpscale: { value: new THREE.Vector3(0, 0, 0) },
+				uSharpen: { value: new THREE.Vector3(0, 0, 0) },
+				uEyeSplit: { value: new THREE.Vector2(0, 0) },
+				uToneMap: { value: new THREE.Vector3(0, 0, 0) },
+				uSubtitle: { value: this.subtitleTexture },
+				uSubtitleOn: { value: false },
+				uSubtitleRect: { value: new THREE.Vector4(0, 0, 1, 1) },
+				uSubtitleShift: { value: 0 },
+				uViewport: { value: new THREE.Vector4(0, 0, 1, 1) },
 			},
 			vertexShader: Shaders.FLAT_VERTEX_SHADER,
 			fragmentShader: Shaders.WATCH_FLAT_FRAGMENT_SHADER,
@@ -585,20 +1124,26 @@ export class Render {
 		this._applyPanAndZoomClamps();
 	}
 
-	_applyProjectionAndViewGeometry(projection) {
-		const isVr = this._isVrProjection(projection);
+	_applyProjectionAndViewGeometry(s) {
+		const isVr = this._isVrProjection(s.projection);
 
 		this.camera = isVr ? this.perspCamera : this.orthoCamera;
 
 		if (this.mesh.geometry) {
 			this.mesh.geometry.dispose();
 		}
-		this.mesh.geometry = isVr ? this._createVrGeometry(projection) : new THREE.PlaneGeometry(2, 2);
+		this.lens = isVr ? this._activeLens(s) : null;
+		if (isVr) {
+			this._setProjectionCoverage(s);
+		}
+		this.mesh.geometry = (isVr && !this.lens) ? this._createVrGeometry(s) : new THREE.PlaneGeometry(2, 2);
+		this._applyLevel(s);
 
 		if (isVr) {
-			// Reset orientation when switching to VR mode
-			this.yaw = 0;
-			this.pitch = 0;
+			// Reset orientation to the center of the covered area when switching to VR mode
+			const center = this._coverageCenter();
+			this.yaw = center.yaw;
+			this.pitch = center.pitch;
 			this.perspCamera.fov = SETTINGS.VR_VFOV_DEG;
 			this._applyPanAndZoomClamps();
 		} else {
@@ -606,53 +1151,104 @@ export class Render {
 		}
 	}
 
+	// Rotate the sphere by the leveling correction (yaw, then pitch, then roll); flat content stays upright
+	_applyLevel(s) {
+		const { degToRad } = THREE.MathUtils;
+		if (this._isVrProjection(s.projection)) {
+			this.mesh.rotation.set(degToRad(s.levelPitch), degToRad(s.levelYaw), degToRad(s.levelRoll), "YXZ");
+		} else {
+			this.mesh.rotation.set(0, 0, 0);
+		}
+	}
+
+	/**
+	 * Camera yaw/pitch facing the center of the covered area on the leveled sphere.
+	 * @returns {{ yaw: number, pitch: number }} Look direction (rad)
+	 */
+	_coverageCenter() {
+		const { degToRad } = THREE.MathUtils;
+
+		// Camera yaw turns left, source longitude grows to the right
+		const euler = new THREE.Euler(degToRad(this._projPitchDeg), -degToRad(this._projYawDeg), 0, "YXZ");
+		const dir = new THREE.Vector3(0, 0, -1).applyEuler(euler).applyQuaternion(this.mesh.quaternion);
+		return {
+			yaw:   Math.atan2(-dir.x, -dir.z),
+			pitch: Math.asin(THREE.MathUtils.clamp(dir.y, -1, 1)),
+		};
+	}
+
 	_applyPanAndZoomClamps() {
 		if (!this.camera?.isPerspectiveCamera) {
 			return;
 		}
 
-		const aspect = Utils.currentAspect(this.canvas);
+		const aspect = Utils.currentAspect(this.canvas, this.viewportEyes?.length ?? 1);
 		const projHFovDeg = this._projHFovDeg;
 		const projVFovDeg = this._projVFovDeg;
 
-		// Clamp camera FOV
+		// Clamp camera FOV (lenses see the whole sphere, so they can widen past 180º)
 		const unclampedVFov = this.camera.fov;
-		this.camera.fov = Utils.clampFov(unclampedVFov, {
-			min: SETTINGS.VR_VFOV_MIN_DEG,
-			max: SETTINGS.VR_VFOV_MAX_DEG,
-			projVFovDeg,
-			projHFovDeg,
-			aspect,
-		});
+		this.camera.fov = this.lens
+			? THREE.MathUtils.clamp(unclampedVFov, SETTINGS.VR_VFOV_MIN_DEG, SETTINGS.LENS_VFOV_MAX_DEG[this.lens])
+			: Utils.clampFov(unclampedVFov, {
+				min: SETTINGS.VR_VFOV_MIN_DEG,
+				max: SETTINGS.VR_VFOV_MAX_DEG,
+				projVFovDeg,
+				projHFovDeg,
+				aspect,
+			});
 		this.camera.updateProjectionMatrix();
 
-		// Recompute H/V FOVs and clamp yaw/pitch
-		const currentVFovDeg = this.camera.fov;
-		const currentHFovDeg = Utils.vFovDegToHFovDeg(currentVFovDeg, aspect);
+		// Recompute H/V FOVs and clamp yaw/pitch (a lens may look straight up or down)
+		const currentVFovDeg = this.lens ? 0 : this.camera.fov;
+		const currentHFovDeg = this.lens ? 0 : Utils.vFovDegToHFovDeg(currentVFovDeg, aspect);
+		const center = this._coverageCenter();
 		const clamped = Utils.clampYawPitch(this.yaw, this.pitch, {
 			projHFovDeg,
 			projVFovDeg,
 			currentVFovDeg,
 			currentHFovDeg,
+			// Clamp around the leveled coverage center; a full sphere stays centered on the horizon
+			centerYaw:   center.yaw,
+			centerPitch: projVFovDeg >= 180 ? 0 : center.pitch,
 		});
 		this.yaw = clamped.yaw;
 		this.pitch = clamped.pitch;
 		this.camera.rotation.set(this.pitch, this.yaw, 0, "YXZ");
+		this._updateLensView();
+	}
+
+	// Aim lens rays along the camera in the sphere's own (unleveled) frame, blending in with zoom
+	_updateLensView() {
+		const u = this.mesh?.material?.uniforms;
+		if (!u?.uLensRotation || !this.lens) {
+			return;
+		}
+		const [blendStart, blendEnd] = SETTINGS.LENS_BLEND_DEG;
+		const fov = this.camera.fov;
+		u.uLensFov.value = THREE.MathUtils.degToRad(fov);
+		u.uLensAspect.value = this.camera.aspect;
+		u.uLensMix.value = THREE.MathUtils.smoothstep(fov, blendStart, blendEnd);
+
+		const rotation = this.mesh.quaternion.clone().invert().multiply(this.camera.quaternion);
+		u.uLensRotation.value.setFromMatrix4(new THREE.Matrix4().makeRotationFromQuaternion(rotation));
 	}
 
 	/**
-	 * Return normalized UV edge feather values for a projection mode.
-	 * @param {string} projection Current projection identifier.
+	 * Return normalized UV edge feather values for equirectangular coverage.
+	 * Only axes that stop short of the full sphere are feathered.
+	 * @param {Object} s Current state.
 	 * @returns {{u: number, v: number}} Fractional feather widths per axis.
 	 */
-	_edgeFeatherForProjection(projection) {
-		if (projection === "vr180") {
-			return {
-				u: SETTINGS.VR180_EDGE_FEATHER_U,
-				v: SETTINGS.VR180_EDGE_FEATHER_V,
-			};
-		}
-		return { u: 0, v: 0 };
+	_edgeFeather(s) {
+		if (this._projectionType(s.projection) !== 0) {
+			return { u: 0, v: 0 };
+		}
+		const { hFov, vFov } = this._projectionCoverage(s);
+		return {
+			u: (hFov > 0 && hFov < 360) ? SETTINGS.EDGE_FEATHER_DEG / hFov : 0,
+			v: (vFov > 0 && vFov < 180) ? SETTINGS.EDGE_FEATHER_DEG / vFov : 0,
+		};
 	}
 
 }
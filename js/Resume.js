@@ -0,0 +1,31 @@
+import { Store } from "./Store.js";
+import { Utils } from "./Utils.js";
+
+// Constants
+const prompt = document.querySelector(".resume");
+const dismissDelay = 10000;
+
+// Resume button and dismiss button
+const resume = document.createElement("button");
+resume.className = "resume-button";
+resume.addEventListener("click", () => Store.get("player")?.resume());
+prompt.appendChild(resume);
+
+const dismiss = document.createElement("button");
+dismiss.className = "resume-dismiss";
+dismiss.textContent = "✕";
+dismiss.title = "Start from the beginning";
+dismiss.addEventListener("click", () => Store.set({ resumeOffer: null }));
+prompt.appendChild(dismiss);
+
+// Show the offer for a while after a file is reopened
+let dismissTimeout = null;
+Store.subscribe("resumeOffer", (s) => {
+	clearTimeout(dismissTimeout);
+	prompt.classList.toggle("hidden", s.resumeOffer === null);
+	if (s.resumeOffer === null) {
+		return;
+	}
+	resume.textContent = `Resume from ${Utils.timecode(s.resumeOffer, s.video.duration)}`;
+	dismissTimeout = setTimeout(() => Store.set({ resumeOffer: null }), dismissDelay);
+});
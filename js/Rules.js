@@ -0,0 +1,126 @@
+// Shorthand for a word-boundary token rule
+const token = (match, values, priority) => ({ match, regex: false, values, priority });
+
+// Filename detection rules: tokens or regexes mapped to setting values
+export class Rules {
+
+	// Settings a rule can set, with the Store key listing their options
+	static KEYS = {
+		layout:     "layouts",
+		resolution: "resolutions",
+		projection: "projections",
+		eyeOrder:   "eyes",
+	};
+
+	// Built-in rules (higher priority wins; ties go to the earlier rule)
+	static DEFAULTS = [
+
+		// Side-by-side
+		token("SBS",          { layout: "sbs" }, 20),
+		token("HSBS",         { layout: "sbs", resolution: "half" }, 20),
+		token("Half-SBS",     { layout: "sbs", resolution: "half" }, 20),
+		token("FSBS",         { layout: "sbs", resolution: "full" }, 20),
+		token("Side-by-Side", { layout: "sbs" }, 20),
+		token("3D.SBS",       { layout: "sbs" }, 20),
+		token("3D-SBS",       { layout: "sbs" }, 20),
+		token("SBS3D",        { layout: "sbs" }, 20),
+
+		// Over-under
+		token("OU",           { layout: "ou" }, 10),
+		token("HOU",          { layout: "ou", resolution: "half" }, 10),
+		token("Half-OU",      { layout: "ou", resolution: "half" }, 10),
+		token("FOU",          { layout: "ou", resolution: "full" }, 10),
+		token("Over-Under",   { layout: "ou" }, 10),
+		token("TAB",          { layout: "ou" }, 10),
+		token("HTAB",         { layout: "ou", resolution: "half" }, 10),
+		token("Top-Bottom",   { layout: "ou" }, 10),
+		token("TopBottom",    { layout: "ou" }, 10),
+		token("T-B",          { layout: "ou" }, 10),
+
+		// Fisheye
+		token("fisheye",      { projection: "fisheye" }, 30),
+		token("fish-eye",     { projection: "fisheye" }, 30),
+
+		// Cubemaps
+		token("EAC",          { projection: "eac" }, 30),
+		token("cubemap",      { projection: "cubemap" }, 30),
+		token("c3x2",         { projection: "cubemap" }, 30),
+
+		// 360º
+		...[
+			"vr360", "360vr", "vr-360", "vr_360",
+			"360video", "video360",
+			"360pano", "pano360", "360photo", "photo360",
+			"3603d", "3d360", "stereo360", "360stereo",
+			"mono360", "360mono",
+			"360-deg", "360deg", "360-degree",
+			"360",
+		].map(t => token(t, { projection: "vr360" }, 20)),
+
+		// 180º
+		...[
+			"vr180", "180vr", "vr-180", "vr_180",
+			"1803d", "3d180", "vr1803d", "3dvr180", "stereo180", "180stereo",
+			"180pano", "pano180",
+			"front180", "f180",
+			"180-deg", "180deg", "180-degree",
+			"180x180",
+			"180",
+		].map(t => token(t, { projection: "vr180" }, 10)),
+	];
+
+	/**
+	 * Compile a rule to a case-insensitive RegExp.
+	 * Tokens only match between non-alphanumeric characters, so "OU" misses "TOUR" and "180" misses "1080p".
+	 * @param {{ match: string, regex: boolean }} rule - Rule to compile
+	 * @returns {RegExp|null} Pattern, or null if the rule is empty or invalid
+	 */
+	static toRegExp(rule) {
+		if (!rule?.match) {
+			return null;
+		}
+		try {
+			if (rule.regex) {
+				return new RegExp(rule.match, "i");
+			}
+			const escaped = rule.match.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+			return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`, "i");
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * Find the winning rule for each setting.
+	 * @param {string} name - File name
+	 * @param {Object[]} rules - Rules to apply
+	 * @returns {Object<string, { value: string, rule: Object, matched: string }>} Results keyed by setting
+	 */
+	static match(name, rules = []) {
+		const results = {};
+		const ordered = rules
+			.map((rule, index) => ({ rule, index }))
+			.sort((a, b) => ((b.rule.priority ?? 0) - (a.rule.priority ?? 0)) || (a.index - b.index));
+
+		for (const { rule } of ordered) {
+			const m = this.toRegExp(rule)?.exec(name || "");
+			if (!m) {
+				continue;
+			}
+			Object.keys(this.KEYS).forEach(key => {
+				const value = rule.values?.[key];
+				if (value && !results[key]) {
+					results[key] = { value, rule, matched: m[0] };
+				}
+			});
+		}
+		return results;
+	}
+
+	// Describe a matched rule for detection evidence
+	static describe({ rule, matched }) {
+		return rule.regex
+			? `rule /${rule.match}/ matched "${matched}"`
+			: `rule "${rule.match}" matched "${matched}"`;
+	}
+}
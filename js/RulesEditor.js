@@ -0,0 +1,140 @@
+import { Store } from "./Store.js";
+import { Rules } from "./Rules.js";
+
+// Constants
+const editor = document.querySelector(".rules");
+
+// Show/hide panel (rebuilt on open so it reflects the Store)
+Store.subscribe("rulesEditor", (s) => {
+	editor.classList.toggle("hidden", !s.rulesEditor);
+	if (s.rulesEditor) {
+		render();
+	}
+});
+
+// Panel heading and help
+const heading = document.createElement("p");
+heading.className = "rules-title";
+heading.textContent = "Filename Rules";
+editor.appendChild(heading);
+
+const help = document.createElement("p");
+help.className = "rules-help";
+help.textContent = "Tokens match whole words, ignoring case; tick Regex for a regular expression. "
+	+ "The highest priority match wins for each setting. Changes apply to the next video opened.";
+editor.appendChild(help);
+
+// Rule rows (rebuilt on structural changes)
+const list = document.createElement("div");
+list.className = "rules-list";
+editor.appendChild(list);
+
+// Replace one rule and save
+const update = (index, changes) => {
+	const rules = Store.get("rules").map((rule, i) => (i === index ? { ...rule, ...changes } : rule));
+	Store.set({ rules });
+};
+
+// Create an element with class
+const element = (tag, className) => {
+	const el = document.createElement(tag);
+	el.className = className;
+	return el;
+};
+
+// Create a button with a click handler
+const button = (text, onClick) => {
+	const el = element("button", "rules-button");
+	el.textContent = text;
+	el.addEventListener("click", onClick);
+	return el;
+};
+
+// Build one editable row for a rule
+const ruleRow = (rule, index) => {
+	const row = element("div", "rules-row");
+
+	// Pattern (flagged when it doesn't compile)
+	const match = element("input", "rules-match");
+	match.type = "text";
+	match.value = rule.match;
+	match.placeholder = "Token or pattern";
+	const validate = () => match.classList.toggle("invalid", !Rules.toRegExp({ ...rule, match: match.value }));
+	match.addEventListener("input", () => {
+		update(index, { match: match.value });
+		validate();
+	});
+	row.appendChild(match);
+
+	// Token or regex
+	const regexLabel = element("label", "rules-regex");
+	const regex = document.createElement("input");
+	regex.type = "checkbox";
+	regex.checked = !!rule.regex;
+	regex.addEventListener("change", () => {
+		rule = { ...rule, regex: regex.checked };
+		update(index, { regex: regex.checked });
+		validate();
+	});
+	regexLabel.appendChild(regex);
+	regexLabel.appendChild(document.createTextNode("Regex"));
+	row.appendChild(regexLabel);
+	validate();
+
+	// One select per setting; blank leaves it to other methods
+	Object.entries(Rules.KEYS).forEach(([key, optionsKey]) => {
+		const select = element("select", "rules-select");
+		select.title = key;
+		[["", `${key}: —`], ...Store.get(optionsKey).map(v => [v, `${key}: ${v}`])].forEach(([value, text]) => {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = text;
+			select.appendChild(option);
+		});
+		select.value = rule.values?.[key] ?? "";
+		select.addEventListener("change", () => {
+			const values = { ...Store.get("rules")[index].values, [key]: select.value };
+			if (!select.value) {
+				delete values[key];
+			}
+			update(index, { values });
+		});
+		row.appendChild(select);
+	});
+
+	// Priority
+	const priority = element("input", "rules-priority");
+	priority.type = "number";
+	priority.step = "1";
+	priority.value = rule.priority ?? 0;
+	priority.title = "Priority";
+	priority.addEventListener("input", () => update(index, { priority: parseInt(priority.value, 10) || 0 }));
+	row.appendChild(priority);
+
+	// Remove
+	row.appendChild(button("✕", () => {
+		Store.set({ rules: Store.get("rules").filter((_, i) => i !== index) });
+		render();
+	}));
+
+	return row;
+};
+
+// Rebuild the rule rows from the Store
+const render = () => {
+	list.replaceChildren(...Store.get("rules").map(ruleRow));
+};
+
+// Panel actions
+const actions = element("div", "rules-actions");
+actions.appendChild(button("Add rule", () => {
+	Store.set({ rules: [...Store.get("rules"), { match: "", regex: false, values: {}, priority: 30 }] });
+	render();
+	list.lastElementChild?.querySelector("input")?.focus();
+}));
+actions.appendChild(button("Reset to defaults", () => {
+	Store.set({ rules: Rules.DEFAULTS });
+	render();
+}));
+actions.appendChild(button("Close", () => Store.set({ rulesEditor: false })));
+editor.appendChild(actions);
@@ -0,0 +1,492 @@
+import { Store } from "./Store.js";
+import { Utils } from "./Utils.js";
+
+// Constants
+const panel = document.querySelector(".settings");
+
+// Show/hide panel
+Store.subscribe("settings", (s) => {
+	panel.classList.toggle("hidden", !s.settings);
+});
+
+// Image adjustments apply wherever a shader samples the video (not flat Source mode)
+const adjustable = s => s.view !== "original" || Utils.isVrProjection(s.projection);
+
+// Subtitles are drawn by the same shaders, with per-eye depth in views that show both eyes
+const subtitled = s => s.subtitleTrack !== null && adjustable(s);
+const STEREO_VIEWS = ["anaglyph", "crossview", "parallel", "interlaced", "wiggle"];
+
+// Settings controls map (`when` limits a control to the states it applies to).
+// Sliders take min/max/step/format, selects take `options` (a Store list key) and `labels`, toggles take `toggle`,
+// and buttons take an `action` (which may return a status message).
+const controls = [
+	{
+		key: "fisheyeFov",
+		label: "Fisheye Lens FOV",
+		min: 180,
+		max: 220,
+		step: 1,
+		format: v => `${Math.round(v)}º`,
+		when: s => s.projection === "fisheye",
+	},
+	{
+		key: "customHFov",
+		label: "Horizontal Coverage",
+		min: 10,
+		max: 360,
+		step: 1,
+		format: v => `${Math.round(v)}º`,
+		when: s => s.projection === "custom",
+	},
+	{
+		key: "customVFov",
+		label: "Vertical Coverage",
+		min: 10,
+		max: 180,
+		step: 1,
+		format: v => `${Math.round(v)}º`,
+		when: s => s.projection === "custom",
+	},
+	{
+		key: "customYaw",
+		label: "Horizontal Center",
+		min: -180,
+		max: 180,
+		step: 1,
+		format: v => `${Math.round(v)}º`,
+		when: s => s.projection === "custom",
+	},
+	{
+		key: "customPitch",
+		label: "Vertical Center",
+		min: -90,
+		max: 90,
+		step: 1,
+		format: v => `${Math.round(v)}º`,
+		when: s => s.projection === "custom",
+	},
+	{
+		key: "lens",
+		label: "Wide-Angle View",
+		options: "lenses",
+		labels: {
+			rectilinear:   "Rectilinear",
+			stereographic: "Stereographic (Little Planet)",
+			pannini:       "Pannini",
+			equisolid:     "Equisolid (Fisheye)",
+		},
+		when: s => Utils.isSphereProjection(s.projection),
+	},
+	{
+		key: "levelRoll",
+		label: "Horizon Roll",
+		min: -45,
+		max: 45,
+		step: 0.5,
+		format: v => `${v > 0 ? "+" : ""}${v.toFixed(1)}º`,
+		when: s => Utils.isVrProjection(s.projection),
+	},
+	{
+		key: "levelPitch",
+		label: "Horizon Pitch",
+		min: -45,
+		max: 45,
+		step: 0.5,
+		format: v => `${v > 0 ? "+" : ""}${v.toFixed(1)}º`,
+		when: s => Utils.isVrProjection(s.projection),
+	},
+	{
+		key: "levelYaw",
+		label: "Initial Heading",
+		min: -180,
+		max: 180,
+		step: 1,
+		format: v => `${v > 0 ? "+" : ""}${Math.round(v)}º`,
+		when: s => Utils.isVrProjection(s.projection),
+	},
+	{
+		key: "resetLevel",
+		label: "Reset Level",
+		action: s => s.pipeline?.resetLevel(),
+		when: s => Utils.isVrProjection(s.projection),
+	},
+	{
+		key: "anaglyph",
+		label: "Anaglyph Glasses",
+		options: "anaglyphs",
+		labels: {
+			dubois:       "Red–Cyan (Dubois)",
+			true:         "Red–Cyan (True)",
+			gray:         "Red–Cyan (Gray)",
+			color:        "Red–Cyan (Color)",
+			halfcolor:    "Red–Cyan (Half-Color)",
+			optimized:    "Red–Cyan (Optimized)",
+			greenmagenta: "Green–Magenta (TrioScopics)",
+			amberblue:    "Amber–Blue (ColorCode 3-D)",
+		},
+		when: s => s.view === "anaglyph",
+	},
+	{
+		key: "glassesReversed",
+		label: "Glasses Worn Reversed",
+		toggle: true,
+		when: s => s.view === "anaglyph" || s.view === "interlaced",
+	},
+	{
+		key: "alignX",
+		label: "Horizontal Offset",
+		min: -0.05,
+		max: 0.05,
+		step: 0.001,
+		format: v => `${v > 0 ? "+" : ""}${(v * 100).toFixed(1)}%`,
+		when: s => s.view !== "original",
+	},
+	{
+		key: "alignY",
+		label: "Vertical Offset",
+		min: -0.05,
+		max: 0.05,
+		step: 0.001,
+		format: v => `${v > 0 ? "+" : ""}${(v * 100).toFixed(1)}%`,
+		when: s => s.view !== "original",
+	},
+	{
+		key: "alignRotation",
+		label: "Rotation",
+		min: -3,
+		max: 3,
+		step: 0.05,
+		format: v => `${v > 0 ? "+" : ""}${v.toFixed(2)}º`,
+		when: s => s.view !== "original",
+	},
+	{
+		key: "alignScale",
+		label: "Scale",
+		min: -0.05,
+		max: 0.05,
+		step: 0.001,
+		format: v => `${v > 0 ? "+" : ""}${(v * 100).toFixed(1)}%`,
+		when: s => s.view !== "original",
+	},
+	{
+		key: "autoAlign",
+		label: "Auto-Align",
+		action: s => s.pipeline?.autoAlign(),
+		when: s => s.view !== "original",
+	},
+	{
+		key: "resetAlign",
+		label: "Reset Alignment",
+		action: s => s.pipeline?.resetAlignment(),
+		when: s => s.view !== "original",
+	},
+	{
+		key: "brightness",
+		label: "Brightness",
+		min: -0.5,
+		max: 0.5,
+		step: 0.01,
+		format: v => `${v > 0 ? "+" : ""}${Math.round(v * 100)}%`,
+		when: adjustable,
+	},
+	{
+		key: "contrast",
+		label: "Contrast",
+		min: 0.5,
+		max: 2,
+		step: 0.01,
+		format: v => `${Math.round(v * 100)}%`,
+		when: adjustable,
+	},
+	{
+		key: "gamma",
+		label: "Gamma",
+		min: 0.5,
+		max: 2.5,
+		step: 0.05,
+		format: v => v.toFixed(2),
+		when: adjustable,
+	},
+	{
+		key: "saturation",
+		label: "Saturation",
+		min: 0,
+		max: 2,
+		step: 0.01,
+		format: v => `${Math.round(v * 100)}%`,
+		when: adjustable,
+	},
+	{
+		key: "hue",
+		label: "Hue",
+		min: -180,
+		max: 180,
+		step: 1,
+		format: v => `${v > 0 ? "+" : ""}${Math.round(v)}º`,
+		when: adjustable,
+	},
+	{
+		key: "sharpen",
+		label: "Sharpen",
+		min: 0,
+		max: 2,
+		step: 0.05,
+		format: v => `${Math.round(v * 100)}%`,
+		when: adjustable,
+	},
+	{
+		key: "saveAdjust",
+		label: "Use Adjustments for All Files",
+		action: s => s.pipeline?.saveAdjustDefaults(),
+		when: adjustable,
+	},
+	{
+		key: "resetAdjust",
+		label: "Reset Adjustments",
+		action: s => s.pipeline?.resetAdjustments(),
+		when: adjustable,
+	},
+	{
+		key: "upscale",
+		label: "Upscale Half Resolution",
+		toggle: true,
+		when: s => s.view !== "original" && s.resolution === "half",
+	},
+	{
+		key: "upscaleQuality",
+		label: "Upscale Quality",
+		options: "upscaleQualities",
+		labels: { fast: "Fast (Lanczos-2)", high: "High (Lanczos-3)" },
+		when: s => s.view !== "original" && s.resolution === "half" && s.upscale,
+	},
+	{
+		key: "transfer",
+		label: "HDR Transfer",
+		options: "transfers",
+		labels: { sdr: "SDR (None)", pq: "PQ (HDR10)", hlg: "HLG" },
+	},
+	{
+		key: "toneMapping",
+		label: "Tone Mapping",
+		options: "toneMappings",
+		labels: { clip: "Clip", reinhard: "Reinhard", aces: "ACES Filmic", hable: "Hable (Uncharted 2)" },
+		when: s => s.transfer !== "sdr",
+	},
+	{
+		key: "exposure",
+		label: "Exposure",
+		min: -3,
+		max: 3,
+		step: 0.1,
+		format: v => `${v > 0 ? "+" : ""}${v.toFixed(1)} EV`,
+		when: s => s.transfer !== "sdr",
+	},
+	{
+		key: "wiggleRate",
+		label: "Wiggle Rate",
+		min: 2,
+		max: 12,
+		step: 0.5,
+		format: v => `${v.toFixed(1)} Hz`,
+		when: s => s.view === "wiggle",
+	},
+	{
+		key: "wiggleFade",
+		label: "Cross-Fade",
+		min: 0,
+		max: 1,
+		step: 0.05,
+		format: v => `${Math.round(v * 100)}%`,
+		when: s => s.view === "wiggle",
+	},
+	{
+		key: "wiggleOffset",
+		label: "Convergence Offset",
+		min: -0.05,
+		max: 0.05,
+		step: 0.001,
+		format: v => `${v > 0 ? "+" : ""}${(v * 100).toFixed(1)}%`,
+		when: s => s.view === "wiggle",
+	},
+	{
+		key: "interlace",
+		label: "Interlace Pattern",
+		options: "interlaces",
+		labels: { rows: "Rows", columns: "Columns", checkerboard: "Checkerboard" },
+		when: s => s.view === "interlaced",
+	},
+	{
+		key: "interlaceFlip",
+		label: "Flip Parity",
+		toggle: true,
+		when: s => s.view === "interlaced",
+	},
+	{
+		key: "subtitles",
+		label: "Show Subtitles",
+		toggle: true,
+		when: subtitled,
+	},
+	{
+		key: "subtitleSize",
+		label: "Subtitle Size",
+		min: 0.5,
+		max: 2,
+		step: 0.05,
+		format: v => `${Math.round(v * 100)}%`,
+		when: s => subtitled(s) && s.subtitles,
+	},
+	{
+		key: "subtitleDepth",
+		label: "Subtitle Depth",
+		min: -0.02,
+		max: 0.04,
+		step: 0.001,
+		format: v => `${v > 0 ? "+" : ""}${(v * 100).toFixed(1)}%`,
+		when: s => subtitled(s) && s.subtitles && STEREO_VIEWS.includes(s.view),
+	},
+	{
+		key: "preservePitch",
+		label: "Preserve Pitch",
+		toggle: true,
+	},
+	{
+		key: "resume",
+		label: "Offer to Resume Playback",
+		toggle: true,
+	},
+	{
+		key: "clearPositions",
+		label: "Clear Resume History",
+		action: s => s.player?.clearPositions(),
+	},
+];
+const controlKeys = controls.filter(({ action }) => !action).map(({ key }) => key);
+const rows = new Map();
+
+// Panel heading
+const heading = document.createElement("p");
+heading.className = "settings-title";
+heading.textContent = "Settings";
+panel.appendChild(heading);
+
+// Shown when no control applies to the current mode
+const empty = document.createElement("p");
+empty.className = "settings-empty";
+empty.textContent = "Nothing to adjust for the current mode.";
+panel.appendChild(empty);
+
+// Clamp to a control's range
+const clamp = (control, value) => {
+	if (Number.isNaN(value)) {
+		return control.min;
+	}
+	return Math.min(control.max, Math.max(control.min, value));
+};
+
+// Build the input for a control: { input, read, write } where read/write convert to and from Store values
+const createInput = (control) => {
+	if (control.action) {
+		const input = document.createElement("button");
+		input.className = "settings-button";
+		input.type = "button";
+		input.textContent = control.label;
+		return { input, read: () => null, write: () => {} };
+	}
+	if (control.options) {
+		const input = document.createElement("select");
+		input.className = "settings-select";
+		Store.get(control.options).forEach(value => {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = control.labels?.[value] ?? value;
+			input.appendChild(option);
+		});
+		return { input, read: () => input.value, write: (value) => (input.value = value) };
+	}
+	if (control.toggle) {
+		const input = document.createElement("input");
+		input.className = "settings-toggle";
+		input.type = "checkbox";
+		return { input, read: () => input.checked, write: (value) => (input.checked = !!value) };
+	}
+	const input = document.createElement("input");
+	input.className = "settings-slider";
+	input.type = "range";
+	input.min = String(control.min);
+	input.max = String(control.max);
+	input.step = String(control.step);
+	return {
+		input,
+		read:  () => clamp(control, parseFloat(input.value)),
+		write: (value) => (input.value = String(clamp(control, value))),
+	};
+};
+
+// Create an input for each control
+controls.forEach((control) => {
+	const { key, label, format } = control;
+
+	const wrapper = document.createElement("label");
+	wrapper.className = "settings-control";
+	wrapper.setAttribute("for", `settings-${key}`);
+
+	const row = document.createElement("div");
+	row.className = "settings-label";
+	const title = document.createElement("span");
+	title.textContent = label;
+	const valueEl = document.createElement("span");
+	valueEl.className = "settings-value";
+	row.appendChild(title);
+	row.appendChild(valueEl);
+
+	const field = createInput(control);
+	field.input.id = `settings-${key}`;
+
+	// Toggles sit on the label row, buttons replace its title, other inputs go below it
+	if (control.toggle) {
+		valueEl.appendChild(field.input);
+	}
+	if (control.action) {
+		row.replaceChild(field.input, title);
+		field.input.addEventListener("click", () => {
+			const message = control.action(Store.get());
+			valueEl.textContent = typeof message === "string" ? message : "";
+		});
+	} else {
+		field.input.addEventListener(control.options ? "change" : "input", () => {
+			const value = field.read();
+			if (format) {
+				valueEl.textContent = format(value);
+			}
+			if (Store.get(key) !== value) {
+				Store.set({ [key]: value });
+			}
+		});
+	}
+
+	wrapper.appendChild(row);
+	if (!control.toggle && !control.action) {
+		wrapper.appendChild(field.input);
+	}
+	panel.appendChild(wrapper);
+
+	rows.set(key, { control, wrapper, field, valueEl });
+});
+
+// Keep inputs in sync and show only controls relevant to the current mode
+const updateFromStore = (s) => {
+	let visible = 0;
+	rows.forEach(({ control, wrapper, field, valueEl }) => {
+		field.write(s[control.key]);
+		if (control.format) {
+			valueEl.textContent = control.format(field.read());
+		}
+		const shown = !control.when || control.when(s);
+		wrapper.classList.toggle("settings-hidden", !shown);
+		visible += shown ? 1 : 0;
+	});
+	empty.classList.toggle("settings-hidden", visible > 0);
+};
+
+Store.subscribe(["projection", "view", "layout", "resolution", "subtitleTrack", ...controlKeys], updateFromStore);
@@ -3,16 +3,177 @@
 // Shared GLSL helpers used across multiple shaders — getEquirectUV maps a 3D direction vector to equirectangular UVs
 export const GLSL = {
 	EQUIRECT_UV: `
-	vec2 getEquirectUV(vec3 dir, float h_fov, float v_fov) {
+	vec2 getEquirectUV(vec3 dir, float h_fov, float v_fov, vec2 center) {
 		vec3 d = normalize(dir);
-		float lambda = atan(d.x, -d.z);
-		float phi = asin(clamp(d.y, -1.0, 1.0));
+		// Longitude relative to the coverage center, wrapped to [-PI, PI]
+		float lambda = atan(d.x, -d.z) - center.x;
+		lambda = mod(lambda + 3.14159265, 6.28318531) - 3.14159265;
+		float phi = asin(clamp(d.y, -1.0, 1.0)) - center.y;
 		float u = (lambda + h_fov / 2.0) / h_fov;
 		float v = (phi + v_fov / 2.0) / v_fov;
 		return vec2(u, v);
 	}
 	`,
 
+	// getFisheyeUV maps a direction to an equidistant fisheye circle inscribed in the unit square
+	FISHEYE_UV: `
+	vec2 getFisheyeUV(vec3 dir, float fov) {
+		vec3 d = normalize(dir);
+		float theta = acos(clamp(-d.z, -1.0, 1.0));
+		float len = length(d.xy);
+		vec2 radial = len > 1e-6 ? d.xy / len : vec2(0.0);
+		return vec2(0.5) + radial * (theta / fov);
+	}
+
+	float fisheyeFade(vec2 uv) {
+		return 1.0 - smoothstep(0.495, 0.5, length(uv - vec2(0.5)));
+	}
+	`,
+
+	// getCubemapUV maps a direction into a 3x2 cubemap, either classic (right, left, up / down, front, back)
+	// or YouTube equi-angular (left, front, right / bottom, back, top with the bottom row on its side)
+	CUBEMAP_UV: `
+	// Face index (0 +X right, 1 -X left, 2 +Y up, 3 -Y down, 4 -Z front, 5 +Z back) and face coords in [-1, 1]
+	void cubeFace(vec3 d, out int face, out vec2 fc) {
+		vec3 a = abs(d);
+		if (a.x >= a.y && a.x >= a.z) {
+			face = d.x > 0.0 ? 0 : 1;
+			fc = vec2(d.x > 0.0 ? d.z : -d.z, d.y) / a.x;
+		} else if (a.y >= a.z) {
+			face = d.y > 0.0 ? 2 : 3;
+			fc = vec2(d.x, d.y > 0.0 ? d.z : -d.z) / a.y;
+		} else {
+			face = d.z < 0.0 ? 4 : 5;
+			fc = vec2(d.z < 0.0 ? d.x : -d.x, d.y) / a.z;
+		}
+	}
+
+	// Rotate face coords by quarter turns clockwise
+	vec2 rotateFace(vec2 p, int quarters) {
+		if (quarters == 1) {
+			return vec2(p.y, -p.x);
+		}
+		if (quarters == 2) {
+			return -p;
+		}
+		if (quarters == 3) {
+			return vec2(-p.y, p.x);
+		}
+		return p;
+	}
+
+	vec2 getCubemapUV(vec3 dir, bool eac) {
+		int face;
+		vec2 fc;
+		cubeFace(normalize(dir), face, fc);
+
+		// Grid cell (column, row from top) and face rotation
+		vec2 cell;
+		int quarters = 0;
+		if (eac) {
+			fc = atan(fc) * (4.0 / 3.14159265);
+			if (face == 1) {
+				cell = vec2(0.0, 0.0);
+			} else if (face == 4) {
+				cell = vec2(1.0, 0.0);
+			} else if (face == 0) {
+				cell = vec2(2.0, 0.0);
+			} else if (face == 3) {
+				cell = vec2(0.0, 1.0);
+				quarters = 3;
+			} else if (face == 5) {
+				cell = vec2(1.0, 1.0);
+				quarters = 1;
+			} else {
+				cell = vec2(2.0, 1.0);
+				quarters = 3;
+			}
+		} else {
+			cell = vec2(mod(float(face), 3.0), floor(float(face) / 3.0));
+		}
+
+		// Inset slightly so linear filtering doesn't bleed across face seams
+		vec2 local = mix(vec2(0.002), vec2(0.998), rotateFace(fc, quarters) * 0.5 + 0.5);
+
+		// Rows count from the top of the frame; texture v runs bottom-up
+		return vec2((cell.x + local.x) / 3.0, 1.0 - (cell.y + 1.0 - local.y) / 2.0);
+	}
+	`,
+
+	// interlacedLeftEye picks the eye for a device pixel; even rows/columns/checker cells show the left eye
+	INTERLACE: `
+	bool interlacedLeftEye(int pattern, vec3 grid, bool flip) {
+		// grid.xy offsets the canvas within the screen, grid.z is the buffer height (rows count from the top)
+		float col = floor(gl_FragCoord.x) + grid.x;
+		float row = floor(grid.z - gl_FragCoord.y) + grid.y;
+		float cell = (pattern == 1) ? row : ((pattern == 2) ? col : row + col);
+		return (mod(cell, 2.0) < 0.5) != flip;
+	}
+	`,
+
+	// anaglyphColor combines both eyes for a glasses scheme:
+	// 0 red–cyan Dubois, 1 true, 2 gray, 3 color, 4 half-color, 5 optimized, 6 green–magenta, 7 amber–blue.
+	// Matrices are given as output rows (R, G, B) so that rgb * mat3(rows) yields one dot product per channel.
+	ANAGLYPH: `
+	vec3 anaglyphColor(vec3 left, vec3 right, int scheme, float greenBalance) {
+		const vec3 LUMA = vec3(0.299, 0.587, 0.114);
+		const vec3 NONE = vec3(0.0);
+
+		mat3 ml;
+		mat3 mr;
+		if (scheme == 0) { // Red–cyan Dubois; balance moves green from the right eye's cyan into the left eye's red
+			ml = mat3(vec3(0.437, 0.449, 0.164), vec3(-0.062, -0.062, -0.024), vec3(-0.048, -0.050, -0.017));
+			mr = mat3(vec3(-0.011, -0.032, -0.007), vec3(0.377, 0.761, 0.009), vec3(-0.026, -0.093, 1.234));
+			ml[0].g += greenBalance;
+			mr[1] *= 1.0 - greenBalance;
+		} else if (scheme == 1) { // True
+			ml = mat3(LUMA, NONE, NONE);
+			mr = mat3(NONE, NONE, LUMA);
+		} else if (scheme == 2) { // Gray
+			ml = mat3(LUMA, NONE, NONE);
+			mr = mat3(NONE, LUMA, LUMA);
+		} else if (scheme == 3) { // Color
+			ml = mat3(vec3(1.0, 0.0, 0.0), NONE, NONE);
+			mr = mat3(NONE, vec3(0.0, 1.0, 0.0), vec3(0.0, 0.0, 1.0));
+		} else if (scheme == 4) { // Half-color
+			ml = mat3(LUMA, NONE, NONE);
+			mr = mat3(NONE, vec3(0.0, 1.0, 0.0), vec3(0.0, 0.0, 1.0));
+		} else if (scheme == 5) { // Optimized (drops the left eye's red to reduce retinal rivalry)
+			ml = mat3(vec3(0.0, 0.7, 0.3), NONE, NONE);
+			mr = mat3(NONE, vec3(0.0, 1.0, 0.0), vec3(0.0, 0.0, 1.0));
+		} else if (scheme == 6) { // Green–magenta Dubois (TrioScopics)
+			ml = mat3(vec3(-0.062, -0.158, -0.039), vec3(0.284, 0.668, 0.143), vec3(-0.015, -0.027, 0.021));
+			mr = mat3(vec3(0.529, 0.705, 0.024), vec3(-0.016, -0.015, -0.065), vec3(0.009, 0.075, 0.937));
+		} else { // Amber–blue Dubois (ColorCode 3-D)
+			ml = mat3(vec3(1.062, -0.205, 0.299), vec3(-0.026, 0.908, 0.068), vec3(-0.038, -0.173, 0.022));
+			mr = mat3(vec3(-0.016, -0.123, -0.017), vec3(0.006, 0.062, -0.017), vec3(0.094, 0.185, 0.911));
+		}
+		return clamp(left * ml + right * mr, 0.0, 1.0);
+	}
+
+	// Attenuate output channels to cut ghosting, boosting what remains to keep brightness
+	vec3 anaglyphFilter(vec3 color, vec3 anti) {
+		const vec3 LUMA = vec3(0.2126, 0.7152, 0.0722);
+		vec3 gain = 1.0 / max(vec3(0.01), 1.0 - anti * LUMA);
+		return clamp(color * (1.0 - anti) * gain, 0.0, 1.0);
+	}
+	`,
+
+	// alignEye corrects one eye's uv for misalignment between the eyes: align = (horizontal offset,
+	// vertical offset, rotation in radians, scale delta), split half to each eye in opposite directions
+	EYE_ALIGN: `
+	vec2 alignEye(vec2 uv, bool firstEye, vec4 align, float aspect) {
+		float side = firstEye ? 0.5 : -0.5;
+		vec2 p = uv - 0.5 - side * align.xy;
+		p.x *= aspect;
+		float a = side * align.z;
+		p = mat2(cos(a), sin(a), -sin(a), cos(a)) * p;
+		p.x /= aspect;
+		p /= 1.0 + side * align.w;
+		return clamp(p + 0.5, 0.0, 1.0);
+	}
+	`,
+
 	EDGE_FEATHER: `
 	float featherAxis(float coord, float feather) {
 		if (feather <= 0.0) {
@@ -28,14 +189,270 @@ export const GLSL = {
 	}
 	`,
 
+	// viewDirection replaces the sphere's interpolated direction with a wide-angle lens ray when a lens is active,
+	// morphing from rectilinear as the FOV widens. It declares its own uniforms, shared with the vertex shader.
+	LENS: `
+	uniform int uLens; // 0 = rectilinear sphere, 1 = stereographic, 2 = Pannini, 3 = equisolid
+	uniform float uLensFov; // Vertical FOV (radians)
+	uniform float uLensAspect;
+	uniform float uLensMix; // 0 = rectilinear, 1 = lens
+	uniform mat3 uLensRotation; // Camera ray → sphere direction
+	varying vec2 v_screen;
+
+	// Camera-space ray through a screen point (NDC), or zero outside an equisolid image circle
+	vec3 lensRay(vec2 screen) {
+		vec2 p = screen * vec2(uLensAspect, 1.0);
+		float r = length(p);
+		vec3 ray;
+		if (uLens == 2) {
+			// Pannini (d = 1): cylindrical across, rectilinear up and down
+			vec2 q = p * tan(uLensFov * 0.5);
+			float k = q.x * q.x / 4.0;
+			float cosLon = (1.0 - k) / (1.0 + k);
+			float s = 2.0 / (1.0 + cosLon);
+			float lon = atan(q.x, s * cosLon);
+			float lat = atan(q.y, s);
+			ray = vec3(sin(lon) * cos(lat), sin(lat), -cos(lon) * cos(lat));
+		} else {
+			// Stereographic and equisolid are radial: the screen edge sits at half the FOV from the center
+			float theta;
+			if (uLens == 1) {
+				theta = 2.0 * atan(r * tan(uLensFov * 0.25));
+			} else {
+				float a = r * sin(min(uLensFov, 6.28318531) * 0.25);
+				if (a > 1.0) {
+					return vec3(0.0);
+				}
+				theta = 2.0 * asin(a);
+			}
+			vec2 radial = r > 1e-6 ? p / r : vec2(0.0);
+			ray = vec3(radial * sin(theta), -cos(theta));
+		}
+		if (uLensMix < 1.0) {
+			vec3 rectilinear = normalize(vec3(p * tan(uLensFov * 0.5), -1.0));
+			ray = normalize(mix(rectilinear, ray, uLensMix));
+		}
+		return ray;
+	}
+
+	vec3 viewDirection(vec3 sphereDirection) {
+		return uLens > 0 ? uLensRotation * lensRay(v_screen) : sphereDirection;
+	}
+	`,
+
+	// toneMapColor decodes a PQ/HLG signal to linear light (1.0 = 203-nit SDR white), converts BT.2020 to BT.709,
+	// and compresses it for display: toneMap = (transfer 0 SDR/1 PQ/2 HLG, operator 0 clip/1 Reinhard/2 ACES/3 Hable,
+	// exposure in stops). SDR passes through untouched. The video texture is uploaded without colour conversion
+	// (three.js turns it off), so the samples are the stream's own encoded values.
+	TONE_MAP: `
+	vec3 pqToLinear(vec3 signal) {
+		const float M1 = 0.1593017578125;
+		const float M2 = 78.84375;
+		const float C1 = 0.8359375;
+		const float C2 = 18.8515625;
+		const float C3 = 18.6875;
+		vec3 e = pow(clamp(signal, 0.0, 1.0), vec3(1.0 / M2));
+		vec3 nits = 10000.0 * pow(max(e - C1, 0.0) / (C2 - C3 * e), vec3(1.0 / M1));
+		return nits / 203.0;
+	}
+
+	vec3 hlgToLinear(vec3 signal) {
+		const float A = 0.17883277;
+		const float B = 0.28466892;
+		const float C = 0.55991073;
+		vec3 e = clamp(signal, 0.0, 1.0);
+		vec3 scene = mix(e * e / 3.0, (exp((e - C) / A) + B) / 12.0, step(0.5, e));
+		// Reference OOTF for a 1000-nit display (system gamma 1.2)
+		float luma = dot(scene, vec3(0.2627, 0.6780, 0.0593));
+		return 1000.0 * pow(max(luma, 1e-6), 0.2) * scene / 203.0;
+	}
+
+	float hable(float x) {
+		const float A = 0.15;
+		const float B = 0.50;
+		const float C = 0.10;
+		const float D = 0.20;
+		const float E = 0.02;
+		const float F = 0.30;
+		return ((x * (A * x + C * B) + D * E) / (x * (A * x + B) + D * F)) - E / F;
+	}
+
+	vec3 linearToSrgb(vec3 color) {
+		vec3 c = clamp(color, 0.0, 1.0);
+		return mix(12.92 * c, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+	}
+
+	vec3 toneMapColor(vec3 signal, vec3 toneMap) {
+		const float HABLE_WHITE = 11.2;
+		int transfer = int(toneMap.x + 0.5);
+		int op = int(toneMap.y + 0.5);
+		if (transfer == 0) {
+			return signal;
+		}
+
+		// Rows of the BT.2020 → BT.709 primaries conversion
+		mat3 toRec709 = mat3(
+			vec3(1.6605, -0.5876, -0.0728),
+			vec3(-0.1246, 1.1329, -0.0083),
+			vec3(-0.0182, -0.1006, 1.1187)
+		);
+		vec3 color = (transfer == 1) ? pqToLinear(signal) : hlgToLinear(signal);
+		color = max(color * toRec709, 0.0) * exp2(toneMap.z);
+
+		if (op == 1) { // Reinhard
+			color = color / (1.0 + color);
+		} else if (op == 2) { // ACES filmic (Narkowicz fit)
+			color = (color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14);
+		} else if (op == 3) { // Hable (Uncharted 2)
+			color = vec3(hable(color.r * 2.0), hable(color.g * 2.0), hable(color.b * 2.0)) / hable(HABLE_WHITE);
+		}
+		return linearToSrgb(color);
+	}
+	`,
+
+	// adjustedSample reads one source pixel: Lanczos upscale of a half-resolution eye's squeezed axis, unsharp-mask
+	// sharpen, HDR tone mapping (see TONE_MAP), then brightness, contrast, gamma, saturation and hue.
+	// It declares its own uniforms so every material shares one sampling path.
+	ADJUST: `
+	uniform vec3 uUpscale; // Texel step along the squeezed axis, lobes (0 = bilinear)
+	uniform vec3 uSharpen; // Source texel size, unsharp amount
+	uniform vec2 uEyeSplit; // Axis the eyes are stacked along (zero when the whole frame is shown)
+	uniform vec3 uToneMap; // HDR transfer, tone-mapping operator, exposure (stops)
+	uniform vec4 uAdjust; // Brightness, contrast, saturation, hue (radians)
+	uniform float uGamma;
+
+	float lanczos(float x, float lobes) {
+		if (abs(x) < 1e-4) {
+			return 1.0;
+		}
+		if (abs(x) >= lobes) {
+			return 0.0;
+		}
+		float px = 3.14159265 * x;
+		return lobes * sin(px) * sin(px / lobes) / (px * px);
+	}
+
+	// Keep a filter tap inside the eye (half of the frame) that uv samples, half a texel from the seam,
+	// so the other eye doesn't bleed in
+	vec2 eyeClamp(vec2 tap, vec2 uv) {
+		float along = dot(tap, uEyeSplit);
+		float margin = 0.5 * dot(uSharpen.xy, uEyeSplit);
+		float start = dot(uv, uEyeSplit) < 0.5 ? 0.0 : 0.5;
+		return tap + uEyeSplit * (clamp(along, start + margin, start + 0.5 - margin) - along);
+	}
+
+	// Windowed-sinc along one axis (bilinear across it), clamped to the two nearest texels so edges don't ring
+	vec3 upscaleSample(sampler2D tex, vec2 uv, vec3 upscale) {
+		const int MAX_LOBES = 3;
+		float lobes = floor(upscale.z + 0.5);
+		if (lobes < 1.0) {
+			return texture2D(tex, uv).rgb;
+		}
+		vec2 stepUv = upscale.xy;
+		float texel = max(stepUv.x, stepUv.y);
+		float coord = dot(uv, stepUv) / (texel * texel) - 0.5;
+		float offset = fract(coord);
+		vec2 origin = uv - stepUv * offset;
+
+		vec3 sum = vec3(0.0);
+		float weights = 0.0;
+		vec3 nearMin = vec3(1.0);
+		vec3 nearMax = vec3(0.0);
+		for (int i = 1 - MAX_LOBES; i <= MAX_LOBES; i++) {
+			float k = float(i);
+			if (k <= -lobes || k > lobes) {
+				continue;
+			}
+			vec3 tap = texture2D(tex, eyeClamp(origin + stepUv * k, uv)).rgb;
+			float w = lanczos(k - offset, lobes);
+			sum += tap * w;
+			weights += w;
+			if (i == 0 || i == 1) {
+				nearMin = min(nearMin, tap);
+				nearMax = max(nearMax, tap);
+			}
+		}
+		return clamp(sum / weights, nearMin, nearMax);
+	}
+
+	vec3 sharpenSample(sampler2D tex, vec2 uv, vec3 upscale, vec3 sharpen) {
+		vec3 color = upscaleSample(tex, uv, upscale);
+		if (sharpen.z <= 0.0) {
+			return color;
+		}
+		vec3 blur = (
+			texture2D(tex, eyeClamp(uv + vec2(sharpen.x, 0.0), uv)).rgb
+			+ texture2D(tex, eyeClamp(uv - vec2(sharpen.x, 0.0), uv)).rgb
+			+ texture2D(tex, eyeClamp(uv + vec2(0.0, sharpen.y), uv)).rgb
+			+ texture2D(tex, eyeClamp(uv - vec2(0.0, sharpen.y), uv)).rgb
+		) * 0.25;
+		return color + (color - blur) * sharpen.z;
+	}
+
+	vec3 adjustColor(vec3 color, vec4 adjust, float gamma) {
+		const vec3 LUMA = vec3(0.2126, 0.7152, 0.0722);
+		const vec3 GRAY_AXIS = vec3(0.57735027);
+
+		color = (color - 0.5) * adjust.y + 0.5 + adjust.x;
+		color = pow(clamp(color, 0.0, 1.0), vec3(1.0 / gamma));
+
+		// Rotate hue around the gray axis (Rodrigues), then scale chroma around luma
+		float c = cos(adjust.w);
+		color = color * c + cross(GRAY_AXIS, color) * sin(adjust.w) + GRAY_AXIS * dot(GRAY_AXIS, color) * (1.0 - c);
+		return clamp(mix(vec3(dot(color, LUMA)), color, adjust.z), 0.0, 1.0);
+	}
+
+	vec3 adjustedSample(sampler2D tex, vec2 uv) {
+		return adjustColor(toneMapColor(sharpenSample(tex, uv, uUpscale, uSharpen), uToneMap), uAdjust, uGamma);
+	}
+	`,
+
+	// subtitleOver draws the current subtitle over one eye's color, after image processing. Flat views place it in
+	// the frame (pass its uv); VR views pin it to the viewport (pass viewportUv()) so it follows the look direction.
+	// The eye stored first is shifted by uSubtitleShift and the other eye the opposite way, giving it depth.
+	SUBTITLE: `
+	uniform sampler2D uSubtitle;
+	uniform bool uSubtitleOn;
+	uniform vec4 uSubtitleRect; // Left, bottom, width, height in view uv
+	uniform float uSubtitleShift; // Horizontal offset for the eye stored first (view widths)
+	uniform vec4 uViewport; // Current viewport in drawing buffer pixels
+
+	vec2 viewportUv() {
+		return (gl_FragCoord.xy - uViewport.xy) / uViewport.zw;
+	}
+
+	float subtitleShift(bool storedFirst) {
+		return storedFirst ? uSubtitleShift : -uSubtitleShift;
+	}
+
+	vec3 subtitleOver(vec3 color, vec2 viewUv, float shift) {
+		if (!uSubtitleOn) {
+			return color;
+		}
+		vec2 st = (viewUv - uSubtitleRect.xy - vec2(shift, 0.0)) / uSubtitleRect.zw;
+		if (any(lessThan(st, vec2(0.0))) || any(greaterThan(st, vec2(1.0)))) {
+			return color;
+		}
+		vec4 text = texture2D(uSubtitle, st);
+		return mix(color, text.rgb, text.a);
+	}
+	`,
+
 };
 
-// Vertex shader used for VR materials (equirectangular mapping)
+// Vertex shader used for VR materials (equirectangular mapping); wide-angle lenses draw a screen-filling quad
 export const EQUIRECT_VERTEX_SHADER = `
+	uniform int uLens;
 	varying vec3 v_viewDirection;
+	varying vec2 v_screen;
 	void main() {
 		v_viewDirection = position;
-		gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+		v_screen = position.xy;
+		if (uLens > 0) {
+			gl_Position = vec4(position.xy, 0.0, 1.0);
+		} else {
+			gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+		}
 	}
 `;
 
@@ -44,56 +461,120 @@ export const EQUIRECT_FRAGMENT_SHADER = `
 	uniform sampler2D map;
 	uniform float u_h_fov_rad;
 	uniform float u_v_fov_rad;
+	uniform vec2 u_fov_center; // Coverage center longitude/latitude (radians)
+	uniform int uProjectionType; // 0 = equirectangular, 1 = fisheye, 2 = cubemap, 3 = EAC
+	uniform float uFisheyeFov;
 	uniform int uLayout; // 0 for SBS, 1 for OU
+	uniform vec4 uEyeAlign; // Offset x/y, rotation, scale between eyes
+	uniform float uEyeAspect;
 	uniform bool uIsWatchView;
 	uniform bool uHalfRes; // true if resolution === 'half'
 	uniform bool uLeftEye;
+	uniform int uInterlace; // 0 = off, 1 = rows, 2 = columns, 3 = checkerboard
+	uniform bool uInterlaceFlip;
+	uniform vec3 uPixelGrid;
+	uniform bool uWiggle;
+	uniform float uWiggleMix; // 0 = first eye, 1 = second eye
+	uniform float uWiggleShift;
 	uniform vec2 uEdgeFeather;
 
 	varying vec3 v_viewDirection;
 
 	${GLSL.EQUIRECT_UV}
+	${GLSL.FISHEYE_UV}
+	${GLSL.CUBEMAP_UV}
+	${GLSL.LENS}
+	${GLSL.INTERLACE}
 	${GLSL.EDGE_FEATHER}
+	${GLSL.EYE_ALIGN}
+	${GLSL.TONE_MAP}
+	${GLSL.ADJUST}
 
-	void main() {
-		vec2 uv = getEquirectUV(v_viewDirection, u_h_fov_rad, u_v_fov_rad);
-		float fade = edgeFade(uv, uEdgeFeather);
+	${GLSL.SUBTITLE}
+
+	// Map a projected uv into one eye's half of the frame
+	vec2 eyeSampleUv(vec2 projectedUv, bool leftEye) {
+		vec2 uv = alignEye(projectedUv, leftEye, uEyeAlign, uEyeAspect);
 		vec2 sampleUv = uv;
+		if (uLayout == 0) { // SBS
+			if (uHalfRes) {
+				sampleUv.x = leftEye ? 0.25 + (uv.x - 0.5) * 0.25 : 0.75 + (uv.x - 0.5) * 0.25;
+			} else {
+				sampleUv.x = leftEye ? uv.x * 0.5 : uv.x * 0.5 + 0.5;
+			}
+		} else { // OU
+			if (uHalfRes) {
+				sampleUv.y = leftEye ? 0.25 + (uv.y - 0.5) * 0.25 : 0.75 + (uv.y - 0.5) * 0.25;
+			} else {
+				sampleUv.y = leftEye ? uv.y * 0.5 : uv.y * 0.5 + 0.5;
+			}
+		}
+		return sampleUv;
+	}
+
+	void main() {
+		vec3 dir = viewDirection(v_viewDirection);
+		if (dot(dir, dir) < 0.5) {
+			gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+			return;
+		}
 
-		if (uIsWatchView) {
+		vec2 uv;
+		float fade;
+		if (uProjectionType == 1) {
+			uv = getFisheyeUV(dir, uFisheyeFov);
+			fade = fisheyeFade(uv);
+		} else if (uProjectionType == 2 || uProjectionType == 3) {
+			uv = getCubemapUV(dir, uProjectionType == 3);
+			fade = 1.0;
+		} else {
+			uv = getEquirectUV(dir, u_h_fov_rad, u_v_fov_rad, u_fov_center);
+			fade = edgeFade(uv, uEdgeFeather);
+		}
+		vec3 color;
+		if (!uIsWatchView) {
+			// Mono VR Source view: the whole frame, with subtitles at screen depth
+			color = adjustedSample(map, uv) * fade;
+			color = subtitleOver(color, viewportUv(), 0.0);
+		} else if (uWiggle) {
+			// Blend both eyes, shifted apart so the subject stays put
+			vec2 shift = vec2(uWiggleShift * 0.5, 0.0);
+			vec3 first = adjustedSample(map, eyeSampleUv(clamp(uv + shift, 0.0, 1.0), uLeftEye)) * fade;
+			vec3 second = adjustedSample(map, eyeSampleUv(clamp(uv - shift, 0.0, 1.0), !uLeftEye)) * fade;
+			first = subtitleOver(first, viewportUv(), subtitleShift(uLeftEye));
+			second = subtitleOver(second, viewportUv(), subtitleShift(!uLeftEye));
+			color = mix(first, second, uWiggleMix);
+		} else {
 			bool leftEye = uLeftEye;
-			if (uLayout == 0) { // SBS
-				if (uHalfRes) {
-					sampleUv.x = leftEye ? 0.25 + (uv.x - 0.5) * 0.25 : 0.75 + (uv.x - 0.5) * 0.25;
-				} else {
-					sampleUv.x = leftEye ? uv.x * 0.5 : uv.x * 0.5 + 0.5;
-				}
-			} else { // OU
-				if (uHalfRes) {
-					sampleUv.y = leftEye ? 0.25 + (uv.y - 0.5) * 0.25 : 0.75 + (uv.y - 0.5) * 0.25;
-				} else {
-					sampleUv.y = leftEye ? uv.y * 0.5 : uv.y * 0.5 + 0.5;
-				}
+			if (uInterlace > 0) {
+				leftEye = interlacedLeftEye(uInterlace, uPixelGrid, uInterlaceFlip) == uLeftEye;
 			}
+			color = adjustedSample(map, eyeSampleUv(uv, leftEye)) * fade;
+			color = subtitleOver(color, viewportUv(), subtitleShift(leftEye));
 		}
 
-		vec4 tex = texture2D(map, sampleUv);
-		gl_FragColor = vec4(tex.rgb * fade, tex.a);
+		gl_FragColor = vec4(color, 1.0);
 	}
 `;
 
-// Fragment shader for VR anaglyph rendering (simple red/cyan)
+// Fragment shader for VR anaglyph rendering (selectable glasses scheme)
 export const ANAGLYPH_FRAGMENT_SHADER = `
 	uniform sampler2D map;
 	uniform float u_h_fov_rad;
 	uniform float u_v_fov_rad;
+	uniform vec2 u_fov_center; // Coverage center longitude/latitude (radians)
+	uniform int uProjectionType; // 0 = equirectangular, 1 = fisheye, 2 = cubemap, 3 = EAC
+	uniform float uFisheyeFov;
 	uniform int uLayout; // 0 = SBS, 1 = OU
+	uniform vec4 uEyeAlign; // Offset x/y, rotation, scale between eyes
+	uniform float uEyeAspect;
 	uniform int uSwapEyes; // 0 = normal, 1 = swap
 	uniform bool uHalfRes; // true if resolution === 'half'
 	uniform vec2 uEdgeFeather;
 	uniform float uAntiRed;
 	uniform float uAntiGreen;
 	uniform float uAntiBlue;
+	uniform int uAnaglyph; // Glasses scheme, see GLSL.ANAGLYPH
 	uniform float uGreenBalance;
 	uniform float uConvergence;
 	uniform float uDepth;
@@ -101,20 +582,49 @@ export const ANAGLYPH_FRAGMENT_SHADER = `
 
 	${GLSL.EQUIRECT_UV}
 
+	${GLSL.FISHEYE_UV}
+
+	${GLSL.CUBEMAP_UV}
+
+	${GLSL.LENS}
+
 	${GLSL.EDGE_FEATHER}
 
+	${GLSL.EYE_ALIGN}
+
+	${GLSL.ANAGLYPH}
+
+	${GLSL.TONE_MAP}
+
+	${GLSL.ADJUST}
+
+	${GLSL.SUBTITLE}
+
 	void main() {
 		const float MAX_SHIFT = 0.01;
 		const float SBS_LEFT_CENTER = 0.25;
 		const float SBS_RIGHT_CENTER = 0.75;
 		const float OU_TOP_CENTER = 0.25;
 		const float OU_BOTTOM_CENTER = 0.75;
-		const float LUMA_R = 0.2126;
-		const float LUMA_G = 0.7152;
-		const float LUMA_B = 0.0722;
 
-		vec2 uv = getEquirectUV(v_viewDirection, u_h_fov_rad, u_v_fov_rad);
-		float fade = edgeFade(uv, uEdgeFeather);
+		vec3 dir = viewDirection(v_viewDirection);
+		if (dot(dir, dir) < 0.5) {
+			gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+			return;
+		}
+
+		vec2 uv;
+		float fade;
+		if (uProjectionType == 1) {
+			uv = getFisheyeUV(dir, uFisheyeFov);
+			fade = fisheyeFade(uv);
+		} else if (uProjectionType == 2 || uProjectionType == 3) {
+			uv = getCubemapUV(dir, uProjectionType == 3);
+			fade = 1.0;
+		} else {
+			uv = getEquirectUV(dir, u_h_fov_rad, u_v_fov_rad, u_fov_center);
+			fade = edgeFade(uv, uEdgeFeather);
+		}
 
 		vec2 uvL, uvR;
 		vec2 baseL, baseR;
@@ -128,14 +638,16 @@ export const ANAGLYPH_FRAGMENT_SHADER = `
 			shift = 0.0; // OU uses shared width; skip convergence shift
 		}
 		bool isOU = (uLayout == 1);
+		vec2 uvA = alignEye(uv, true, uEyeAlign, uEyeAspect);
+		vec2 uvB = alignEye(uv, false, uEyeAlign, uEyeAspect);
 
 		if (!isOU) { // SBS
 			if (uHalfRes) {
-				baseL = vec2(0.25 + (uv.x - 0.5) * 0.25, uv.y);
-				baseR = vec2(0.75 + (uv.x - 0.5) * 0.25, uv.y);
+				baseL = vec2(0.25 + (uvA.x - 0.5) * 0.25, uvA.y);
+				baseR = vec2(0.75 + (uvB.x - 0.5) * 0.25, uvB.y);
 			} else {
-				baseL = vec2(uv.x * 0.5, uv.y);
-				baseR = vec2(uv.x * 0.5 + 0.5, uv.y);
+				baseL = vec2(uvA.x * 0.5, uvA.y);
+				baseR = vec2(uvB.x * 0.5 + 0.5, uvB.y);
 			}
 			float adjustedLeft = clamp(baseL.x + shift, 0.0, 1.0);
 			float adjustedRight = clamp(baseR.x - shift, 0.0, 1.0);
@@ -149,11 +661,11 @@ export const ANAGLYPH_FRAGMENT_SHADER = `
 			uvR = vec2(SBS_RIGHT_CENTER + localRight * 0.5, baseR.y);
 		} else { // OU
 			if (uHalfRes) {
-				baseL = vec2(uv.x, 0.25 + (uv.y - 0.5) * 0.25);
-				baseR = vec2(uv.x, 0.75 + (uv.y - 0.5) * 0.25);
+				baseL = vec2(uvA.x, 0.25 + (uvA.y - 0.5) * 0.25);
+				baseR = vec2(uvB.x, 0.75 + (uvB.y - 0.5) * 0.25);
 			} else {
-				baseL = vec2(uv.x, uv.y * 0.5);
-				baseR = vec2(uv.x, uv.y * 0.5 + 0.5);
+				baseL = vec2(uvA.x, uvA.y * 0.5);
+				baseR = vec2(uvB.x, uvB.y * 0.5 + 0.5);
 			}
 			float adjustedTop = clamp(baseL.y + shift, 0.0, 1.0);
 			float adjustedBottom = clamp(baseR.y - shift, 0.0, 1.0);
@@ -168,33 +680,13 @@ export const ANAGLYPH_FRAGMENT_SHADER = `
 		}
 		if (uSwapEyes == 1) { vec2 t = uvL; uvL = uvR; uvR = t; }
 
-		vec3 leftRGB  = texture2D(map, uvL).rgb;
-		vec3 rightRGB = texture2D(map, uvR).rgb;
-
-	float antiRed = clamp(uAntiRed, 0.0, 1.0) * 0.5;
-	float antiGreen = clamp(uAntiGreen, 0.0, 1.0) * 0.5;
-	float antiBlue = clamp(uAntiBlue, 0.0, 1.0) * 0.5;
-	float greenBalance = clamp(uGreenBalance, 0.0, 1.0) * 0.5;
-
-		float leftGreenShare = leftRGB.g * greenBalance;
-		float rightGreenShare = rightRGB.g * (1.0 - greenBalance);
-		float redChannel = clamp(leftRGB.r + leftGreenShare, 0.0, 1.0);
+		vec3 leftRGB  = subtitleOver(adjustedSample(map, uvL) * fade, viewportUv(), subtitleShift(uSwapEyes == 0));
+		vec3 rightRGB = subtitleOver(adjustedSample(map, uvR) * fade, viewportUv(), subtitleShift(uSwapEyes == 1));
 
-	float preservedRed = 1.0 - antiRed;
-	float preservedGreen = 1.0 - antiGreen;
-	float preservedBlue = 1.0 - antiBlue;
-	float gainRed = 1.0 / max(0.01, 1.0 - antiRed * LUMA_R);
-	float gainGreen = 1.0 / max(0.01, 1.0 - antiGreen * LUMA_G);
-	float gainBlue = 1.0 / max(0.01, 1.0 - antiBlue * LUMA_B);
+		vec3 color = anaglyphColor(leftRGB, rightRGB, uAnaglyph, clamp(uGreenBalance, 0.0, 1.0) * 0.5);
+		color = anaglyphFilter(color, clamp(vec3(uAntiRed, uAntiGreen, uAntiBlue), 0.0, 1.0) * 0.5);
 
-	vec3 color = vec3(
-		redChannel * preservedRed * gainRed,
-		rightGreenShare * preservedGreen * gainGreen,
-		rightRGB.b * preservedBlue * gainBlue
-	);
-		color = clamp(color, 0.0, 1.0);
-
-		gl_FragColor = vec4(color * fade, 1.0);
+		gl_FragColor = vec4(color, 1.0);
 	}
 `;
 
@@ -207,28 +699,51 @@ export const FLAT_VERTEX_SHADER = `
 	}
 `;
 
-// Fragment shader for flat anaglyph rendering (simple red/cyan)
+// Fragment shader for flat Source view (the whole frame, HDR tone mapped)
+export const SOURCE_FLAT_FRAGMENT_SHADER = `
+	uniform sampler2D map;
+	uniform vec3 uToneMap; // HDR transfer, tone-mapping operator, exposure (stops)
+	varying vec2 vUv;
+
+	${GLSL.TONE_MAP}
+
+	void main() {
+		gl_FragColor = vec4(toneMapColor(texture2D(map, vUv).rgb, uToneMap), 1.0);
+	}
+`;
+
+// Fragment shader for flat anaglyph rendering (selectable glasses scheme)
 export const ANAGLYPH_FLAT_FRAGMENT_SHADER = `
 	uniform sampler2D map;
 	uniform int uLayout; // 0 = SBS, 1 = OU
+	uniform vec4 uEyeAlign; // Offset x/y, rotation, scale between eyes
+	uniform float uEyeAspect;
 	uniform int uSwapEyes; // 0 = normal, 1 = swap
 	uniform float uAntiRed;
 	uniform float uAntiGreen;
 	uniform float uAntiBlue;
+	uniform int uAnaglyph; // Glasses scheme, see GLSL.ANAGLYPH
 	uniform float uGreenBalance;
 	uniform float uConvergence;
 	uniform float uDepth;
 	varying vec2 vUv;
 
+	${GLSL.ANAGLYPH}
+
+	${GLSL.EYE_ALIGN}
+
+	${GLSL.TONE_MAP}
+
+	${GLSL.ADJUST}
+
+	${GLSL.SUBTITLE}
+
 	void main() {
 		const float MAX_SHIFT = 0.01;
 		const float SBS_LEFT_CENTER = 0.25;
 		const float SBS_RIGHT_CENTER = 0.75;
 		const float OU_TOP_CENTER = 0.25;
 		const float OU_BOTTOM_CENTER = 0.75;
-		const float LUMA_R = 0.2126;
-		const float LUMA_G = 0.7152;
-		const float LUMA_B = 0.0722;
 
 		vec2 baseL, baseR;
 		vec2 uvL, uvR;
@@ -240,13 +755,15 @@ export const ANAGLYPH_FLAT_FRAGMENT_SHADER = `
 		float centerRight = (uLayout == 0) ? SBS_RIGHT_CENTER : 0.5;
 		float halfSpanLeft = (uLayout == 0) ? 0.25 : 0.5;
 		float halfSpanRight = halfSpanLeft;
+		vec2 uvA = alignEye(vUv, true, uEyeAlign, uEyeAspect);
+		vec2 uvB = alignEye(vUv, false, uEyeAlign, uEyeAspect);
 
 		if (uLayout == 0) { // SBS
-			baseL = vec2(vUv.x * 0.5, vUv.y);
-			baseR = vec2(vUv.x * 0.5 + 0.5, vUv.y);
+			baseL = vec2(uvA.x * 0.5, uvA.y);
+			baseR = vec2(uvB.x * 0.5 + 0.5, uvB.y);
 		} else { // OU
-			baseL = vec2(vUv.x, vUv.y * 0.5);
-			baseR = vec2(vUv.x, vUv.y * 0.5 + 0.5);
+			baseL = vec2(uvA.x, uvA.y * 0.5);
+			baseR = vec2(uvB.x, uvB.y * 0.5 + 0.5);
 		}
 
 		float adjustedLeft = clamp(baseL.x + shift, 0.0, 1.0);
@@ -267,31 +784,11 @@ export const ANAGLYPH_FLAT_FRAGMENT_SHADER = `
 		}
 		if (uSwapEyes == 1) { vec2 t = uvL; uvL = uvR; uvR = t; }
 
-		vec3 leftRGB  = texture2D(map, uvL).rgb;
-		vec3 rightRGB = texture2D(map, uvR).rgb;
-
-		float antiRed = clamp(uAntiRed, 0.0, 1.0) * 0.5;
-		float antiGreen = clamp(uAntiGreen, 0.0, 1.0) * 0.5;
-		float antiBlue = clamp(uAntiBlue, 0.0, 1.0) * 0.5;
-	float greenBalance = clamp(uGreenBalance, 0.0, 1.0) * 0.5;
-
-		float leftGreenShare = leftRGB.g * greenBalance;
-		float rightGreenShare = rightRGB.g * (1.0 - greenBalance);
-		float redChannel = clamp(leftRGB.r + leftGreenShare, 0.0, 1.0);
-
-	float preservedRed = 1.0 - antiRed;
-	float preservedGreen = 1.0 - antiGreen;
-	float preservedBlue = 1.0 - antiBlue;
-	float gainRed = 1.0 / max(0.01, 1.0 - antiRed * LUMA_R);
-	float gainGreen = 1.0 / max(0.01, 1.0 - antiGreen * LUMA_G);
-	float gainBlue = 1.0 / max(0.01, 1.0 - antiBlue * LUMA_B);
-
-		vec3 color = vec3(
-			redChannel * preservedRed * gainRed,
-			rightGreenShare * preservedGreen * gainGreen,
-			rightRGB.b * preservedBlue * gainBlue
-		);
-		color = clamp(color, 0.0, 1.0);
+		vec3 leftRGB  = subtitleOver(adjustedSample(map, uvL), vUv, subtitleShift(uSwapEyes == 0));
+		vec3 rightRGB = subtitleOver(adjustedSample(map, uvR), vUv, subtitleShift(uSwapEyes == 1));
+
+		vec3 color = anaglyphColor(leftRGB, rightRGB, uAnaglyph, clamp(uGreenBalance, 0.0, 1.0) * 0.5);
+		color = anaglyphFilter(color, clamp(vec3(uAntiRed, uAntiGreen, uAntiBlue), 0.0, 1.0) * 0.5);
 
 		gl_FragColor = vec4(color, 1.0);
 	}
@@ -301,17 +798,53 @@ export const ANAGLYPH_FLAT_FRAGMENT_SHADER = `
 export const WATCH_FLAT_FRAGMENT_SHADER = `
 	uniform sampler2D map;
 	uniform int uLayout; // 0 = SBS, 1 = OU
+	uniform vec4 uEyeAlign; // Offset x/y, rotation, scale between eyes
+	uniform float uEyeAspect;
 	uniform bool uLeftEye;
+	uniform int uInterlace; // 0 = off, 1 = rows, 2 = columns, 3 = checkerboard
+	uniform bool uInterlaceFlip;
+	uniform vec3 uPixelGrid;
+	uniform bool uWiggle;
+	uniform float uWiggleMix; // 0 = first eye, 1 = second eye
+	uniform float uWiggleShift;
 	varying vec2 vUv;
 
+	${GLSL.INTERLACE}
+
+	${GLSL.EYE_ALIGN}
+
+	${GLSL.TONE_MAP}
+
+	${GLSL.ADJUST}
+
+	${GLSL.SUBTITLE}
+
+	// Map a frame uv into one eye's half
+	vec2 eyeUv(vec2 frameUv, bool leftEye) {
+		vec2 uv = alignEye(frameUv, leftEye, uEyeAlign, uEyeAspect);
+		if (uLayout == 0) {
+			return vec2(uv.x * 0.5 + (leftEye ? 0.0 : 0.5), uv.y);
+		}
+		return vec2(uv.x, uv.y * 0.5 + (leftEye ? 0.0 : 0.5));
+	}
+
 	void main() {
-		vec2 uv = vUv;
+		if (uWiggle) {
+			// Blend both eyes, shifted apart so the subject stays put
+			vec2 shift = vec2(uWiggleShift * 0.5, 0.0);
+			vec3 first = adjustedSample(map, eyeUv(clamp(vUv + shift, 0.0, 1.0), uLeftEye));
+			vec3 second = adjustedSample(map, eyeUv(clamp(vUv - shift, 0.0, 1.0), !uLeftEye));
+			first = subtitleOver(first, vUv, subtitleShift(uLeftEye));
+			second = subtitleOver(second, vUv, subtitleShift(!uLeftEye));
+			gl_FragColor = vec4(mix(first, second, uWiggleMix), 1.0);
+			return;
+		}
+
 		bool leftEye = uLeftEye;
-		if (uLayout == 0) {
-			uv = vec2(vUv.x * 0.5 + (leftEye ? 0.0 : 0.5), vUv.y);
-		} else {
-			uv = vec2(vUv.x, vUv.y * 0.5 + (leftEye ? 0.0 : 0.5));
+		if (uInterlace > 0) {
+			leftEye = interlacedLeftEye(uInterlace, uPixelGrid, uInterlaceFlip) == uLeftEye;
 		}
-		gl_FragColor = texture2D(map, uv);
+		vec3 color = adjustedSample(map, eyeUv(vUv, leftEye));
+		gl_FragColor = vec4(subtitleOver(color, vUv, subtitleShift(leftEye)), 1.0);
 	}
 `;
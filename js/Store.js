@@ -1,4 +1,5 @@
 import { Repository } from "./Repository.js";
+import { Rules } from "./Rules.js";
 
 // Initial state
 const STATE = {
@@ -7,33 +8,111 @@ const STATE = {
 	controls: null,
 	pipeline: null,
 	player:   null,
+	playlist: null,
 
 	// DOM Elements
 	video:  null, // <video> element for playback
 	canvas: null, // <canvas> element for rendering
 
 	// UI State
-	splash:     true,  // Show splash screen on load
-	playback:   false, // Playback state (playing/paused)
-	volume:     true,  // Sound on/off
-	repeat:     false, // Restart video at end?
-	fullscreen: false, // Fullscreen state
+	splash:      true,  // Show splash screen on load
+	playback:    false, // Playback state (playing/paused)
+	volume:      1,     // Volume level (0–1)
+	muted:       false, // Sound off, keeping the level
+	repeat:      "off", // At the end: stop/advance, replay the video, or also wrap the queue
+	repeats:     ["off", "one", "all"],
+	fullscreen:  false, // Fullscreen state
+	speed:       1,     // Playback rate
+	speeds:      [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4],
+	preservePitch: true, // Keep audio pitch when not at 1x
+	queue:       false, // Show queue panel
+	inspector:   false, // Show detection report
+	settings:    false, // Show settings panel
+	rulesEditor: false, // Show filename rules editor
 
 	// Video Metadata
-	name:     null, // Video file name
-	file:     null, // Original File/Blob (for metadata reads)
-	url:      null, // Video source URL
-	time:     0,    // Current playback time (seconds)
-	duration: null, // Total video duration (seconds)
-	fps:      30,   // Video framerate
+	name:        null,   // Video file name
+	file:        null,   // Original File/Blob (for metadata reads)
+	url:         null,   // Video source URL
+	time:        0,      // Current playback time (seconds)
+	duration:    null,   // Total video duration (seconds)
+	fps:         30,     // Video framerate
+	audioTracks: [],     // Audio tracks ({ id, label }) where the browser lists them
+	audioTrack:  null,   // Enabled audio track id
+	eyeOrder:    "left", // Eye stored first ("right" for right/left or bottom/top), detected per file
+	fingerprint: null,   // Stable file identifier (name, size, content hash)
+
+	// Playlist ({ name, file, subtitle, detected, invalid } per entry) and the entry loaded (-1 when none)
+	queueEntries: [],
+	queueIndex:   -1,
+
+	// Subtitles: tracks found for the current video ({ id, label }: files, then embedded tracks), the one shown,
+	// and how they're shown (depth is disparity in view widths)
+	subtitleTracks: [],
+	subtitleTrack:  null,
+	subtitles:     true,
+	subtitleSize:  1,
+	subtitleDepth: 0.005,
+
+	// Detection results ({ value, method, evidence } per setting)
+	detection: null,
 
 	// View Setting
 	view: "watch",
-	views: ["watch", "anaglyph", "original"],
+	views: ["watch", "anaglyph", "crossview", "parallel", "interlaced", "wiggle", "original"],
+	interlace: "rows", // Eye interleaving pattern for passive 3D displays
+	interlaces: ["rows", "columns", "checkerboard"],
+	interlaceFlip: false, // Swap which eye gets even rows/columns
+	wiggleRate: 6, // Eye swaps per second
+	wiggleFade: 0, // Share of each swap spent cross-fading (0–1)
+	wiggleOffset: 0, // Horizontal shift between eyes (fraction of frame width)
+	anaglyph: "dubois", // Anaglyph glasses scheme
+	anaglyphs: ["dubois", "true", "gray", "color", "halfcolor", "optimized", "greenmagenta", "amberblue"],
+
+	// Eye alignment correction (remembered per file): offsets as fractions of the eye, rotation in degrees
+	alignX:        0,
+	alignY:        0,
+	alignRotation: 0,
+	alignScale:    0,
+
+	// Image adjustments (remembered per file; adjustDefaults holds the values saved for all files)
+	brightness:     0, // Added to each channel (-1–1)
+	contrast:       1, // Multiplier around mid-gray
+	gamma:          1,
+	saturation:     1, // 0 = grayscale
+	hue:            0, // Hue rotation (degrees)
+	sharpen:        0, // Unsharp mask amount
+	adjustDefaults: {},
+
+	// Edge-adaptive upscale of half-resolution eyes (off compares against bilinear)
+	upscale:          true,
+	upscaleQuality:   "high",
+	upscaleQualities: ["fast", "high"],
+
+	// HDR tone mapping: transfer is detected per file, operator and exposure (stops) are global
+	transfer:     "sdr",
+	transfers:    ["sdr", "pq", "hlg"],
+	toneMapping:  "aces",
+	toneMappings: ["clip", "reinhard", "aces", "hable"],
+	exposure:     0,
 
 	// Projection Setting
 	projection: "flat",
-	projections: ["flat", "vr180", "vr360"],
+	projections: ["flat", "vr180", "vr360", "custom", "fisheye", "cubemap", "eac"],
+	fisheyeFov:  190, // Fisheye lens field of view (degrees)
+	lens:        "rectilinear", // Viewing projection for full-sphere content as the view widens
+	lenses:      ["rectilinear", "stereographic", "pannini", "equisolid"],
+
+	// Custom equirectangular coverage (degrees; yaw/pitch locate its center)
+	customHFov:  200,
+	customVFov:  180,
+	customYaw:   0,
+	customPitch: 0,
+
+	// Horizon leveling (remembered per file): sphere orientation in degrees, separate from the look direction
+	levelYaw:   0,
+	levelPitch: 0,
+	levelRoll:  0,
 
 	// Layout Setting
 	layout: "sbs",
@@ -47,6 +126,20 @@ const STATE = {
 	eye: "left",
 	eyes: ["left", "right"],
 
+	// Anaglyph or polarized glasses worn the other way round (flips those outputs for every file)
+	glassesReversed: false,
+
+	// Filename detection rules ({ match, regex, values, priority })
+	rules: Rules.DEFAULTS,
+
+	// Per-file overrides ({ [fingerprint]: { layout, resolution, projection, eye } })
+	overrides: {},
+
+	// Resume playback ({ [fingerprint]: seconds }), offered as resumeOffer when a file is reopened
+	resume:      true,
+	positions:   {},
+	resumeOffer: null,
+
 	// Debug Settings
 	debug:       false,
 	antiR:       0,
@@ -55,13 +148,39 @@ const STATE = {
 	balance:     0,
 	convergence: 0.5,
 	depth:       0,
-}
+};
 
 // localStorage syncs
 const PERSISTS = [
 	"volume",
+	"muted",
 	"repeat",
-	"eye",
+	"preservePitch",
+	"glassesReversed",
+	"fisheyeFov",
+	"lens",
+	"interlace",
+	"interlaceFlip",
+	"anaglyph",
+	"wiggleRate",
+	"wiggleFade",
+	"wiggleOffset",
+	"customHFov",
+	"customVFov",
+	"customYaw",
+	"customPitch",
+	"adjustDefaults",
+	"upscale",
+	"upscaleQuality",
+	"toneMapping",
+	"exposure",
+	"overrides",
+	"resume",
+	"positions",
+	"subtitles",
+	"subtitleSize",
+	"subtitleDepth",
+	"rules",
 	"debug",
 	"antiR",
 	"antiG",
@@ -69,7 +188,17 @@ const PERSISTS = [
 	"balance",
 	"convergence",
 	"depth",
-]
+];
 
 // Initialise the store
 export const Store = new Repository(STATE, PERSISTS);
+
+// Volume was saved as a boolean before it had levels
+if (typeof Store.get("volume") === "boolean") {
+	Store.set({ volume: 1, muted: !Store.get("volume") });
+}
+
+// Repeat was saved as a boolean before it had modes
+if (typeof Store.get("repeat") === "boolean") {
+	Store.set({ repeat: Store.get("repeat") ? "one" : "off" });
+}
@@ -0,0 +1,166 @@
+// Subtitle file parsing (SRT, WebVTT, ASS/SSA) into timed cues ({ start, end, text } in seconds)
+export class Subtitles {
+
+	// File extensions accepted as subtitles
+	static EXTENSIONS = [".srt", ".vtt", ".ass", ".ssa"];
+
+	// Check a file looks like a subtitle file
+	static isSubtitleFile(file) {
+		const name = file.name.toLowerCase();
+		return this.EXTENSIONS.some(ext => name.endsWith(ext));
+	}
+
+	// File name without its extension, for matching subtitles to videos ("film.en.srt" → "film.en")
+	static baseName(name) {
+		return name.replace(/\.[^.]+$/, "").toLowerCase();
+	}
+
+	// Check a subtitle belongs to a video: same name, optionally followed by a language or label
+	static matches(subtitleName, videoName) {
+		const subtitle = this.baseName(subtitleName);
+		const video = this.baseName(videoName);
+		return subtitle === video || subtitle.startsWith(`${video}.`);
+	}
+
+	/**
+	 * Parse subtitle text by format (from the file name, falling back to sniffing the content).
+	 * @param {string} text - File contents
+	 * @param {string} [name=""] - File name
+	 * @returns {{ start: number, end: number, text: string }[]} Cues sorted by start time
+	 */
+	static parse(text, name = "") {
+		const source = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+		const lower = name.toLowerCase();
+		let cues;
+		if (lower.endsWith(".ass") || lower.endsWith(".ssa") || /^\[Script Info\]/m.test(source)) {
+			cues = this.parseAss(source);
+		} else if (lower.endsWith(".vtt") || source.startsWith("WEBVTT")) {
+			cues = this.parseVtt(source);
+		} else {
+			cues = this.parseSrt(source);
+		}
+		return this.tidy(cues);
+	}
+
+	// Longest a cue without an end stays up (seconds)
+	static OPEN_CUE_MAX = 5;
+
+	/**
+	 * Sort cues by start time and drop empty ones. Cues without an end (Matroska SimpleBlocks carry no duration)
+	 * last until the next cue starts, up to OPEN_CUE_MAX seconds.
+	 * @param {{ start: number, end: number|null, text: string }[]} cues - Parsed or embedded cues
+	 * @returns {{ start: number, end: number, text: string }[]} Cues ready for textAt()
+	 */
+	static tidy(cues) {
+		const sorted = cues.filter(cue => cue.text).sort((a, b) => a.start - b.start);
+		return sorted
+			.map((cue, i) => ({
+				...cue,
+				end: cue.end ?? Math.min(sorted[i + 1]?.start ?? Infinity, cue.start + this.OPEN_CUE_MAX),
+			}))
+			.filter(cue => cue.end > cue.start);
+	}
+
+	// Cue from an embedded subtitle sample: the bare text, or for ASS the Dialogue fields after Start/End
+	// ("ReadOrder, Layer, Style, Name, MarginL, MarginR, MarginV, Effect, Text" in Matroska)
+	static embeddedCue(start, end, payload, format) {
+		const text = (format === "ass") ? payload.split(",").slice(8).join(",") : payload;
+		return { start, end, text: (format === "ass") ? this._assText(text) : this._plainText(text) };
+	}
+
+	// SubRip: numbered blocks of "00:00:01,000 --> 00:00:04,000" followed by text
+	static parseSrt(source) {
+		return this._parseBlocks(source, /(\d+:\d{2}:\d{2}[,.]\d{1,3})\s*-->\s*(\d+:\d{2}:\d{2}[,.]\d{1,3})/);
+	}
+
+	// WebVTT: like SubRip with optional hours and cue settings; NOTE, STYLE and REGION blocks are skipped
+	static parseVtt(source) {
+		return this._parseBlocks(source, /((?:\d+:)?\d{2}:\d{2}\.\d{3})\s*-->\s*((?:\d+:)?\d{2}:\d{2}\.\d{3})/);
+	}
+
+	// Blank-line separated blocks whose timing line matches a pattern; text follows the timing line
+	static _parseBlocks(source, timing) {
+		const cues = [];
+		source.split(/\n{2,}/).forEach(block => {
+			const lines = block.split("\n");
+			const index = lines.findIndex(line => timing.test(line));
+			if (index < 0) {
+				return;
+			}
+			const [, start, end] = lines[index].match(timing);
+			cues.push({
+				start: this._seconds(start),
+				end:   this._seconds(end),
+				text:  this._plainText(lines.slice(index + 1).join("\n")),
+			});
+		});
+		return cues;
+	}
+
+	// Advanced SubStation Alpha: "Dialogue:" lines in [Events], laid out by its Format line
+	static parseAss(source) {
+		const cues = [];
+		let format = ["layer", "start", "end", "style", "name", "marginl", "marginr", "marginv", "effect", "text"];
+		let inEvents = false;
+		source.split("\n").forEach(line => {
+			const section = line.match(/^\s*\[(.+)\]\s*$/);
+			if (section) {
+				inEvents = section[1].toLowerCase() === "events";
+				return;
+			}
+			const field = line.match(/^\s*(Format|Dialogue)\s*:\s*(.*)$/i);
+			if (!inEvents || !field) {
+				return;
+			}
+			if (field[1].toLowerCase() === "format") {
+				format = field[2].split(",").map(key => key.trim().toLowerCase());
+				return;
+			}
+
+			// Text is the last field and may itself contain commas
+			const values = field[2].split(",");
+			const text = values.splice(format.length - 1).join(",");
+			const entry = Object.fromEntries(format.slice(0, -1).map((key, i) => [key, values[i]?.trim()]));
+			cues.push({
+				start: this._seconds(entry.start),
+				end:   this._seconds(entry.end),
+				text:  this._assText(text),
+			});
+		});
+		return cues;
+	}
+
+	// ASS text without override blocks ({\i1}), with its line breaks and hard spaces
+	static _assText(text) {
+		return this._plainText(text
+			.replace(/\{[^}]*\}/g, "")
+			.replace(/\\[Nn]/g, "\n")
+			.replace(/\\h/g, " "));
+	}
+
+	// "H:MM:SS.cc", "HH:MM:SS,mmm" or "MM:SS.mmm" to seconds
+	static _seconds(timecode = "") {
+		const parts = timecode.replace(",", ".").split(":").map(parseFloat);
+		return parts.reduce((total, part) => total * 60 + (part || 0), 0);
+	}
+
+	// Strip markup (<i>, <v Speaker>, <c.class>, <font>) and decode the common HTML entities
+	static _plainText(text) {
+		const entities = { amp: "&", lt: "<", gt: ">", nbsp: " ", quot: "\"", apos: "'" };
+		return text
+			.replace(/<[^>]*>/g, "")
+			.replace(/&(amp|lt|gt|nbsp|quot|apos);/g, (_, name) => entities[name])
+			.split("\n")
+			.map(line => line.trim())
+			.filter(Boolean)
+			.join("\n");
+	}
+
+	// Text of the cues showing at a time (overlapping cues stack in start order)
+	static textAt(cues, time) {
+		return cues
+			.filter(cue => cue.start <= time && time < cue.end)
+			.map(cue => cue.text)
+			.join("\n");
+	}
+}
@@ -84,6 +84,37 @@ export class Utils {
 		requestAnimationFrame(tick);
 	}
 
+	/**
+	* Collects the files from a drop, reading dropped folders recursively.
+	* Call synchronously from the drop handler (items are cleared once it returns).
+	* @param {DataTransfer} dataTransfer - The drop event's data
+	* @returns {Promise<File[]>} Dropped files, including those inside folders
+	*/
+	static droppedFiles(dataTransfer) {
+		const entries = Array.from(dataTransfer?.items ?? [])
+			.map(item => item.webkitGetAsEntry?.())
+			.filter(Boolean);
+		if (!entries.length) {
+			return Promise.resolve(Array.from(dataTransfer?.files ?? []));
+		}
+
+		// Directory readers return children in batches until an empty one
+		const read = async (entry) => {
+			if (entry.isFile) {
+				return [await new Promise((res, rej) => entry.file(res, rej))];
+			}
+			const reader = entry.createReader();
+			const children = [];
+			let batch;
+			do {
+				batch = await new Promise((res, rej) => reader.readEntries(res, rej));
+				children.push(...batch);
+			} while (batch.length);
+			return (await Promise.all(children.map(read))).flat();
+		};
+		return Promise.all(entries.map(read)).then(files => files.flat());
+	}
+
 	/**
 	* Checks if a keyboard event matches the exact combination of modifier keys
 	* @param {KeyboardEvent} e - The keyboard event to check
@@ -112,23 +143,57 @@ export class Utils {
 		e.shiftKey === expected.shift;
 	}
 
+	/**
+	* Checks if an event target accepts typed text (keyboard shortcuts should be ignored)
+	* @param {EventTarget} el - The event target to check
+	* @returns {boolean} True for text inputs, textareas, selects and editable content
+	*/
+	static isTextEntry(el) {
+		if (!(el instanceof HTMLElement)) {
+			return false;
+		}
+		if (el.isContentEditable || el.tagName === "TEXTAREA" || el.tagName === "SELECT") {
+			return true;
+		}
+		return el.tagName === "INPUT" && !["range", "checkbox", "button"].includes(el.type);
+	}
+
 	/**
 	* Determines if a projection is VR (perspective) based.
-	* @param {string} projection - One of 'flat', 'vr180', 'vr360'
+	* @param {string} projection - One of 'flat', 'vr180', 'vr360', 'custom', 'fisheye', 'cubemap', 'eac'
 	* @returns {boolean} True if VR projection
 	*/
 	static isVrProjection(projection) {
-		return projection === "vr180" || projection === "vr360";
+		return ["vr180", "vr360", "custom", "fisheye", "cubemap", "eac"].includes(projection);
 	}
 
 	/**
-	* Returns the current aspect ratio of a canvas element.
+	* Determines if a projection always covers the full sphere (wide-angle viewing lenses apply).
+	* @param {string} projection - Projection key
+	* @returns {boolean} True for 360º equirectangular and cubemaps
+	*/
+	static isSphereProjection(projection) {
+		return ["vr360", "cubemap", "eac"].includes(projection);
+	}
+
+	/**
+	* Returns the current aspect ratio of a canvas element, or of one of its side-by-side viewports.
 	* @param {HTMLCanvasElement} canvas - Target canvas
+	* @param {number} [viewports=1] - Number of viewports splitting the width
 	* @returns {number} Aspect ratio (width/height)
 	*/
-	static currentAspect(canvas) {
+	static currentAspect(canvas, viewports = 1) {
 		const { clientWidth: cw = 1, clientHeight: ch = 1 } = canvas || {};
-		return cw && ch ? cw / ch : 16 / 9;
+		return cw && ch ? cw / viewports / ch : 16 / 9;
+	}
+
+	/**
+	* Determines if a view mode shows both eyes next to each other for free-viewing.
+	* @param {string} view - View mode
+	* @returns {boolean} True for cross-eyed and parallel views
+	*/
+	static isPairView(view) {
+		return view === "crossview" || view === "parallel";
 	}
 
 	/**
@@ -142,7 +207,8 @@ export class Utils {
 		const { view, layout, resolution, projection } = opts;
 		let contentW = vw;
 		let contentH = vh;
-		if ((view === "watch" || view === "anaglyph") && !this.isVrProjection(projection)) {
+		const singleEye = ["watch", "anaglyph", "interlaced", "wiggle"].includes(view) || this.isPairView(view);
+		if (singleEye && !this.isVrProjection(projection)) {
 			if (layout === "sbs") {
 				contentW = (resolution === "full") ? vw / 2 : vw;
 			} else {
@@ -197,7 +263,7 @@ export class Utils {
 	static clampFov(vFov, { min, max, projVFovDeg, projHFovDeg, aspect }) {
 		const vMax = Math.min(max, projVFovDeg - 1.0); // epsilon to avoid edge singularity
 		let clamped = vFov;
-		if (projHFovDeg && projHFovDeg === 180) {
+		if (projHFovDeg && projHFovDeg < 360) {
 			const vFromH = this.hFovDegToVFovDeg(Math.max(1.0, projHFovDeg - 1.0), aspect);
 			clamped = Math.min(clamped, vFromH);
 		}
@@ -209,18 +275,21 @@ export class Utils {
 	* Clamps yaw/pitch based on projection and current FOVs.
 	* @param {number} yaw - Current yaw in radians
 	* @param {number} pitch - Current pitch in radians
-	* @param {{ projHFovDeg:number, projVFovDeg:number, currentVFovDeg:number, currentHFovDeg:number }} args
+	* @param {{ projHFovDeg:number, projVFovDeg:number, currentVFovDeg:number, currentHFovDeg:number,
+	*   centerYaw?:number, centerPitch?:number }} args - Center of the covered area in radians (default 0)
 	* @returns {{ yaw:number, pitch:number }} Clamped yaw/pitch
 	*/
-	static clampYawPitch(yaw, pitch, { projHFovDeg, projVFovDeg, currentVFovDeg, currentHFovDeg }) {
-		// Clamp pitch
+	static clampYawPitch(yaw, pitch, {
+		projHFovDeg, projVFovDeg, currentVFovDeg, currentHFovDeg, centerYaw = 0, centerPitch = 0,
+	}) {
+		// Clamp pitch around the coverage center
 		const pitchLimit = ((projVFovDeg - currentVFovDeg) / 2) * (Math.PI / 180);
-		const newPitch = Math.max(-pitchLimit, Math.min(pitchLimit, pitch));
-		// Clamp or wrap yaw
+		const newPitch = Math.max(centerPitch - pitchLimit, Math.min(centerPitch + pitchLimit, pitch));
+		// Clamp or wrap yaw (only full 360º content wraps)
 		let newYaw = yaw;
-		if (projHFovDeg === 180) {
+		if (projHFovDeg < 360) {
 			const yawLimit = ((projHFovDeg - currentHFovDeg) / 2) * (Math.PI / 180);
-			newYaw = Math.max(-yawLimit, Math.min(yawLimit, newYaw));
+			newYaw = Math.max(centerYaw - yawLimit, Math.min(centerYaw + yawLimit, newYaw));
 		} else {
 			newYaw = newYaw % (2 * Math.PI);
 		}
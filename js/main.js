@@ -2,8 +2,14 @@ import { Store    } from "./Store.js";
 import { Controls } from "./Controls.js";
 import { Pipeline } from "./Pipeline.js";
 import { Player   } from "./Player.js";
+import { Playlist } from "./Playlist.js";
 import "./Tooltips.js";
 import "./Debug.js";
+import "./Queue.js";
+import "./Resume.js";
+import "./Inspector.js";
+import "./Settings.js";
+import "./RulesEditor.js";
 
 // Configure DOM elements
 Store.set({
@@ -15,9 +21,10 @@ Store.set({
 const controls = new Controls();
 const pipeline = new Pipeline();
 const player   = new Player();
+const playlist = new Playlist();
 
 // Expose objects globally
-Store.set({ controls, pipeline, player });
+Store.set({ controls, pipeline, player, playlist });
 window.Store = Store;
 
 // Ensure proper cleanup on window close/reload (dev HMR, navigation)